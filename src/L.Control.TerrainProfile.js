@@ -0,0 +1,170 @@
+/**
+ Control that draws the terrain profile of an antenna link with the line of sight, the first fresnel zone, the earth curvature,
+ the antenna heights and the obstructing points. Shows the link of a clicked polyline drawn by parseNetworkJSONFile ('antennalinkclick' event of the map)
+ or the link passed to showLink.
+ */
+L.Control.TerrainProfile = L.Control.extend({
+    options: {
+        position: 'bottomleft',
+        //size of the chart in pixels
+        width: 600,
+        height: 220,
+        terrainColor: '#a6794b',
+        clutterColor: '#4c8c4a',
+        fresnelColor: 'rgba(66, 135, 245, 0.25)',
+        lineOfSightColor: '#2b5fb4',
+        obstructionColor: '#d7191c',
+        fresnelObstructionColor: '#fdae61'
+    },
+
+    onAdd: function (map) {
+        this._container = L.DomUtil.create('div', 'leaflet-control-terrain-profile leaflet-bar');
+        this._container.style.background = 'white';
+        this._container.style.padding = '4px';
+        this._container.style.display = 'none';
+        L.DomEvent.disableClickPropagation(this._container);
+        L.DomEvent.disableScrollPropagation(this._container);
+
+        const header = L.DomUtil.create('div', '', this._container);
+        this._title = L.DomUtil.create('span', '', header);
+        const closeButton = L.DomUtil.create('a', 'leaflet-control-terrain-profile-close', header);
+        closeButton.innerHTML = '&times;';
+        closeButton.href = '#';
+        closeButton.style.float = 'right';
+        L.DomEvent.on(closeButton, 'click', event => {
+            L.DomEvent.preventDefault(event);
+            this.hide();
+        });
+
+        this._canvas = L.DomUtil.create('canvas', '', this._container);
+        this._canvas.width = this.options.width;
+        this._canvas.height = this.options.height;
+
+        map.on('antennalinkclick', this._onLinkClick, this);
+        return this._container;
+    },
+
+    onRemove: function (map) {
+        map.off('antennalinkclick', this._onLinkClick, this);
+    },
+
+    _onLinkClick: function (event) {
+        this.showLink(event.link);
+    },
+
+    /**
+     Shows the terrain profile of the given link
+     @param {{antenna_from: string, antenna_to: string, budget: object}} antennaLink: entry of antenna_links with its link budget (see calcLinkBudget)
+     */
+    showLink: function (antennaLink) {
+        const budget = antennaLink.budget;
+        this._title.innerHTML = antennaLink.antenna_from + ' &harr; ' + antennaLink.antenna_to + ': '
+            + (budget.distance / 1000).toFixed(2) + ' km, fresnel clearance ' + budget.fresnelClearance.toFixed(0) + ' %';
+        this._container.style.display = '';
+        this._draw(budget);
+    },
+
+    /**
+     Hides the terrain profile
+     */
+    hide: function () {
+        this._container.style.display = 'none';
+    },
+
+    _draw: function (budget) {
+        const options = this.options,
+            canvas = this._canvas,
+            ctx = canvas.getContext('2d');
+        const distance = budget.distance;
+        //margins for the axis labels
+        const left = 45,
+            right = 10,
+            top = 10,
+            bottom = 20;
+
+        //terrain raised by the earth bulge, so the line of sight is a straight line
+        const points = budget.profile.map(point => {
+            const terrain = point.height + earthBulge(point.distance, distance, budget.kFactor);
+            const lineOfSight = budget.elevationFrom + (budget.elevationTo - budget.elevationFrom) * point.distance / distance;
+            return {
+                distance: point.distance,
+                terrain: terrain,
+                surface: terrain + (point.clutterHeight || 0),
+                lineOfSight: lineOfSight,
+                fresnelRadius: point.distance > 0 && point.distance < distance ? fresnelZoneRadius(1, point.distance, distance, budget.frequency) : 0
+            };
+        });
+        const minElevation = Math.min(...points.map(point => point.terrain)) - 5,
+            maxElevation = Math.max(...points.map(point => Math.max(point.surface, point.lineOfSight + point.fresnelRadius))) + 5;
+        const x = pointDistance => left + pointDistance / distance * (canvas.width - left - right),
+            y = elevation => top + (maxElevation - elevation) / (maxElevation - minElevation) * (canvas.height - top - bottom);
+
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+        //clutter and terrain
+        for (const [key, color] of [['surface', options.clutterColor], ['terrain', options.terrainColor]]) {
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            ctx.moveTo(x(0), y(minElevation));
+            for (const point of points) {
+                ctx.lineTo(x(point.distance), y(point[key]));
+            }
+            ctx.lineTo(x(distance), y(minElevation));
+            ctx.closePath();
+            ctx.fill();
+        }
+
+        //first fresnel zone
+        ctx.fillStyle = options.fresnelColor;
+        ctx.beginPath();
+        for (const point of points) {
+            ctx.lineTo(x(point.distance), y(point.lineOfSight + point.fresnelRadius));
+        }
+        for (const point of points.slice().reverse()) {
+            ctx.lineTo(x(point.distance), y(point.lineOfSight - point.fresnelRadius));
+        }
+        ctx.closePath();
+        ctx.fill();
+
+        //line of sight and antenna masts
+        ctx.strokeStyle = options.lineOfSightColor;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.moveTo(x(0), y(budget.elevationFrom));
+        ctx.lineTo(x(distance), y(budget.elevationTo));
+        ctx.stroke();
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.moveTo(x(0), y(points[0].terrain));
+        ctx.lineTo(x(0), y(budget.elevationFrom));
+        ctx.moveTo(x(distance), y(points[points.length - 1].terrain));
+        ctx.lineTo(x(distance), y(budget.elevationTo));
+        ctx.stroke();
+
+        //points obstructing the line of sight or the first fresnel zone
+        for (const point of points.slice(1, -1)) {
+            if (point.surface > point.lineOfSight - point.fresnelRadius) {
+                ctx.fillStyle = point.surface > point.lineOfSight ? options.obstructionColor : options.fresnelObstructionColor;
+                ctx.beginPath();
+                ctx.arc(x(point.distance), y(point.surface), 3, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        }
+
+        //axis labels
+        ctx.fillStyle = '#333';
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'right';
+        ctx.fillText(Math.round(maxElevation) + ' m', left - 4, y(maxElevation) + 8);
+        ctx.fillText(Math.round(minElevation) + ' m', left - 4, y(minElevation));
+        ctx.textAlign = 'center';
+        for (let i = 0; i <= 4; i++) {
+            ctx.fillText((distance * i / 4000).toFixed(2) + ' km', x(distance * i / 4), canvas.height - 5);
+        }
+    }
+});
+
+L.control.terrainProfile = function (options) {
+    return new L.Control.TerrainProfile(options);
+};
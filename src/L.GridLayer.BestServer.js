@@ -0,0 +1,68 @@
+/**
+ Grid layer that draws the cells of a composite network coverage in the color of their best-serving antenna, see mergeCoverage.
+ Extends L.GridLayer.MaskCanvas (lib/L.GridLayer.MaskCanvas.js), which has to be loaded first.
+ */
+L.GridLayer.BestServer = L.GridLayer.MaskCanvas.extend({
+    options: {
+        radius: 25,
+        useAbsoluteRadius: true,
+        opacity: 0.5,
+        noMask: true,
+        //colors (#rrggbb) of the antennas in the order they appear, repeated if there are more antennas
+        colors: ['#1f78b4', '#33a02c', '#e31a1c', '#ff7f00', '#6a3d9a', '#b15928', '#a6cee3', '#b2df8a', '#fb9a99', '#fdbf6f', '#cab2d6', '#ffff99'],
+        //colors of specific antennas by their name, e.g. {'site1_antenna1': '#000000'}
+        serverColors: {}
+    },
+
+    initialize: function (options) {
+        L.setOptions(this, options);
+        this.serverColors = L.extend({}, this.options.serverColors);
+    },
+
+    /**
+     Sets the cells of the layer.
+     @param {{latLng: number[], power: number, server: string}[]} cells: cells with their best-serving antenna as returned by mergeCoverage
+     */
+    setData: function (cells) {
+        this.bounds = new L.LatLngBounds(cells.map(cell => cell.latLng));
+        this._quad = new QuadTree(this._boundsToQuery(this.bounds), false, 6, 6);
+        this._maxRadius = this.options.radius;
+        for (const cell of cells) {
+            this.getColor(cell.server);
+            this._quad.insert({x: cell.latLng[1], y: cell.latLng[0], r: this.options.radius, power: cell.power, server: cell.server});
+        }
+        if (this._map) {
+            this.redraw();
+        }
+    },
+
+    /**
+     Returns the color of the given antenna, antennas without color get the next color of options.colors
+     @param {string} server: name of the antenna
+     @returns {string} css color
+     */
+    getColor: function (server) {
+        if (!this.serverColors[server]) {
+            const colors = this.options.colors;
+            this.serverColors[server] = colors[Object.keys(this.serverColors).length % colors.length];
+        }
+        return this.serverColors[server];
+    },
+
+    _drawPoints: function (canvas, coords, pointCoordinates) {
+        const ctx = canvas.getContext('2d');
+        //draw the strongest cells last, so they are on top of overlapping weaker ones
+        const sortedPoints = pointCoordinates.slice().sort((a, b) => a.power - b.power);
+        for (const pointCoordinate of sortedPoints) {
+            const tilePoint = this._tilePoint(coords, pointCoordinate);
+            ctx.fillStyle = this.getColor(pointCoordinate.server);
+            ctx.beginPath();
+            ctx.arc(tilePoint[0], tilePoint[1], tilePoint[2], 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+});
+
+L.gridLayer.bestServer = function (options) {
+    return new L.GridLayer.BestServer(options);
+};
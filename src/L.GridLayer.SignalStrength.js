@@ -0,0 +1,118 @@
+/**
+ Grid layer that draws points coloured by their received signal strength on a colour ramp.
+ Extends L.GridLayer.MaskCanvas (lib/L.GridLayer.MaskCanvas.js), which has to be loaded first.
+ */
+L.GridLayer.SignalStrength = L.GridLayer.MaskCanvas.extend({
+    options: {
+        radius: 25,
+        useAbsoluteRadius: true,
+        opacity: 0.5,
+        noMask: true,
+        //received power in dBm with the color (#rrggbb) at that power
+        colorRamp: [
+            {power: -90, color: '#d7191c'},
+            {power: -80, color: '#fdae61'},
+            {power: -70, color: '#ffffbf'},
+            {power: -60, color: '#a6d96a'},
+            {power: -50, color: '#1a9641'}
+        ],
+        //true: each point gets the color of the highest power threshold it reaches and points below all thresholds are not drawn,
+        //false: colors are interpolated between the thresholds
+        discrete: false
+    },
+
+    initialize: function (options) {
+        L.setOptions(this, options);
+        this.options.colorRamp = this.options.colorRamp.slice().sort((a, b) => a.power - b.power);
+    },
+
+    /**
+     Sets the points of the layer.
+     @param {number[][]} dataset: points with their received power in dBm [[lat,long,power]]
+     */
+    setData: function (dataset) {
+        this.bounds = new L.LatLngBounds(dataset.map(d => [d[0], d[1]]));
+        this._quad = new QuadTree(this._boundsToQuery(this.bounds), false, 6, 6);
+        this._maxRadius = this.options.radius;
+        for (const d of dataset) {
+            this._quad.insert({x: d[1], y: d[0], r: this.options.radius, power: d[2]});
+        }
+        if (this._map) {
+            this.redraw();
+        }
+    },
+
+    /**
+     Sets the colour ramp of the layer.
+     @param {{power: number, color: string}[]} colorRamp: received power in dBm with the color (#rrggbb) at that power
+     @param {boolean} [discrete]: see options.discrete
+     */
+    setColorRamp: function (colorRamp, discrete) {
+        this.options.colorRamp = colorRamp.slice().sort((a, b) => a.power - b.power);
+        if (discrete !== undefined) {
+            this.options.discrete = discrete;
+        }
+        this.redraw();
+    },
+
+    /**
+     Returns the color of the given received power on the colour ramp.
+     @param {number} power: received power in dBm
+     @returns {string|undefined} css color, undefined if the point should not be drawn
+     */
+    getColor: function (power) {
+        const colorRamp = this.options.colorRamp;
+        if (this.options.discrete) {
+            let color;
+            for (const stop of colorRamp) {
+                if (power >= stop.power) {
+                    color = stop.color;
+                }
+            }
+            return color;
+        }
+        if (power <= colorRamp[0].power) {
+            return colorRamp[0].color;
+        }
+        for (let i = 1; i < colorRamp.length; i++) {
+            if (power < colorRamp[i].power) {
+                const lower = this._hexToRGB(colorRamp[i - 1].color),
+                    upper = this._hexToRGB(colorRamp[i].color),
+                    ratio = (power - colorRamp[i - 1].power) / (colorRamp[i].power - colorRamp[i - 1].power);
+                const rgb = lower.map((value, channel) => Math.round(value + (upper[channel] - value) * ratio));
+                return 'rgb(' + rgb.join(',') + ')';
+            }
+        }
+        return colorRamp[colorRamp.length - 1].color;
+    },
+
+    /**
+     Converts a hex color to its red, green and blue values.
+     @param {string} hex: color, e.g. '#1a9641'
+     @returns {number[]} [red, green, blue]
+     */
+    _hexToRGB: function (hex) {
+        const value = parseInt(hex.replace('#', ''), 16);
+        return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+    },
+
+    _drawPoints: function (canvas, coords, pointCoordinates) {
+        const ctx = canvas.getContext('2d');
+        //draw the strongest points last, so they are on top of overlapping weaker ones
+        const sortedPoints = pointCoordinates.slice().sort((a, b) => a.power - b.power);
+        for (const pointCoordinate of sortedPoints) {
+            const color = this.getColor(pointCoordinate.power);
+            if (color) {
+                const tilePoint = this._tilePoint(coords, pointCoordinate);
+                ctx.fillStyle = color;
+                ctx.beginPath();
+                ctx.arc(tilePoint[0], tilePoint[1], tilePoint[2], 0, Math.PI * 2);
+                ctx.fill();
+            }
+        }
+    }
+});
+
+L.gridLayer.signalStrength = function (options) {
+    return new L.GridLayer.SignalStrength(options);
+};
@@ -0,0 +1,192 @@
+/**
+ Clutter providers add the height of buildings, forests and other surface features on top of the terrain,
+ see the clutter option of calcRadPatternWithObstacles. Every provider is an object with an async batched lookup:
+ getHeights(locations: number[][], terrainElevations: number[]) => Promise<number[]>, the height in meters above the terrain at every location [lat,long]
+ */
+
+/**
+ Creates a clutter provider from a digital surface model, the clutter height is the surface elevation above the terrain
+ @param {{getElevations: function(number[][]): Promise<number[]>}} surfaceProvider: elevation provider of the surface model,
+ e.g. createGeoTIFFElevationProvider of a LiDAR DSM
+ @returns {{getHeights: function(number[][], number[]): Promise<number[]>}} clutter provider, 0 where the surface model has no elevation
+ */
+function createDSMClutterProvider(surfaceProvider) {
+    return {
+        getHeights: async function (locations, terrainElevations) {
+            const surfaceElevations = await surfaceProvider.getElevations(locations);
+            return surfaceElevations.map((surfaceElevation, index) => {
+                const height = surfaceElevation - terrainElevations[index];
+                return height > 0 ? height : 0;
+            });
+        }
+    };
+}
+
+/**
+ Checks if the given point is inside the given polygon
+ @param {number[]} point: [long,lat]
+ @param {number[][][]} rings: rings of a GeoJSON polygon, the outer ring followed by its holes
+ @returns {boolean} true if the point is inside the outer ring and outside of all holes
+ */
+function isPointInPolygon(point, rings) {
+    let inside = false;
+    //every crossed edge of any ring toggles between inside and outside
+    for (const ring of rings) {
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            if ((ring[i][1] > point[1]) !== (ring[j][1] > point[1])
+                && point[0] < (ring[j][0] - ring[i][0]) * (point[1] - ring[i][1]) / (ring[j][1] - ring[i][1]) + ring[i][0]) {
+                inside = !inside;
+            }
+        }
+    }
+    return inside;
+}
+
+/**
+ Indexes the polygons of a GeoJSON FeatureCollection to find the polygons containing a location
+ @param {object} geojson: GeoJSON FeatureCollection with Polygon and MultiPolygon features
+ @returns {function(number[]): object[]} returns the features of all polygons containing the given location [lat,long] in the order of the features
+ */
+function indexPolygons(geojson) {
+    //sizes of the cells indexing the polygons in degrees, large polygons are indexed in coarser cells
+    const cellSizes = [0.01, 0.1, 1, 10];
+    //maximum number of cells a polygon is indexed in, unless it is larger than the coarsest cells
+    const maxCells = 16;
+    let levels = cellSizes.map(() => new Map());
+    let polygonCount = 0;
+    for (const feature of geojson.features) {
+        const polygons = !feature.geometry ? []
+            : feature.geometry.type === 'Polygon' ? [feature.geometry.coordinates]
+                : feature.geometry.type === 'MultiPolygon' ? feature.geometry.coordinates : [];
+        for (const rings of polygons) {
+            //bounding box of the outer ring, without spreading every vertex as argument
+            let west = Infinity,
+                east = -Infinity,
+                south = Infinity,
+                north = -Infinity;
+            for (const [lng, lat] of rings[0]) {
+                west = Math.min(west, lng);
+                east = Math.max(east, lng);
+                south = Math.min(south, lat);
+                north = Math.max(north, lat);
+            }
+            const cellCount = cellSize => (Math.floor(east / cellSize) - Math.floor(west / cellSize) + 1)
+                * (Math.floor(north / cellSize) - Math.floor(south / cellSize) + 1);
+            let level = 0;
+            while (level < cellSizes.length - 1 && cellCount(cellSizes[level]) > maxCells) {
+                level++;
+            }
+            const cellSize = cellSizes[level],
+                cells = levels[level];
+            const polygon = {rings: rings, feature: feature, order: polygonCount++};
+            for (let x = Math.floor(west / cellSize); x <= Math.floor(east / cellSize); x++) {
+                for (let y = Math.floor(south / cellSize); y <= Math.floor(north / cellSize); y++) {
+                    const key = x + ':' + y;
+                    if (!cells.has(key)) {
+                        cells.set(key, []);
+                    }
+                    cells.get(key).push(polygon);
+                }
+            }
+        }
+    }
+    return ([lat, lng]) => {
+        let polygons = [];
+        levels.forEach((cells, level) => {
+            const key = Math.floor(lng / cellSizes[level]) + ':' + Math.floor(lat / cellSizes[level]);
+            polygons.push(...(cells.get(key) || []));
+        });
+        //in the order of the features, independent of the size of their cells
+        return polygons
+            .filter(polygon => isPointInPolygon([lng, lat], polygon.rings))
+            .sort((a, b) => a.order - b.order)
+            .map(polygon => polygon.feature);
+    };
+}
+
+/**
+ Creates a clutter provider from GeoJSON polygons with a height each, e.g. building footprints or land-cover areas
+ @param {object} geojson: GeoJSON FeatureCollection with Polygon and MultiPolygon features
+ @param {function(object): number} heightOf: returns the height in meters of a feature, features without height are ignored
+ @returns {{getHeights: function(number[][], number[]): Promise<number[]>}} clutter provider, the highest polygon counts where polygons overlap
+ */
+function createPolygonClutterProvider(geojson, heightOf) {
+    const featuresAt = indexPolygons({
+        features: geojson.features.filter(feature => heightOf(feature) > 0)
+    });
+    return {
+        getHeights: async function (locations) {
+            return locations.map(location => Math.max(0, ...featuresAt(location).map(heightOf)));
+        }
+    };
+}
+
+/**
+ Creates a clutter provider from extruded GeoJSON building footprints
+ @param {object} geojson: GeoJSON FeatureCollection of building footprints, e.g. exported from OpenStreetMap
+ @param {{heightProperty: string, levelsProperty: string, levelHeight: number, defaultHeight: number}} [options]:
+ heightProperty: property with the height in meters, defaults to 'height',
+ levelsProperty: property with the number of floors used without height, defaults to 'building:levels',
+ levelHeight: height of a floor in meters, defaults to 3,
+ defaultHeight: height of buildings without height and floors, defaults to 0 (ignored)
+ @returns {{getHeights: function(number[][], number[]): Promise<number[]>}} clutter provider
+ */
+function createBuildingClutterProvider(geojson, options = {}) {
+    const heightProperty = options.heightProperty || 'height',
+        levelsProperty = options.levelsProperty || 'building:levels',
+        levelHeight = options.levelHeight || 3,
+        defaultHeight = options.defaultHeight || 0;
+    return createPolygonClutterProvider(geojson, feature => {
+        const properties = feature.properties || {};
+        //values like '12 m' are common in OpenStreetMap
+        const height = parseFloat(properties[heightProperty]),
+            levels = parseFloat(properties[levelsProperty]);
+        return !isNaN(height) ? height : (!isNaN(levels) ? levels * levelHeight : defaultHeight);
+    });
+}
+
+/**
+ Creates a clutter provider from land-cover polygons with a height per class
+ @param {object} geojson: GeoJSON FeatureCollection of land-cover areas
+ @param {Object<string, number>} classHeights: height in meters per land-cover class, e.g. {forest: 15, urban: 10}
+ @param {{classProperty: string}} [options]: classProperty: property with the land-cover class, defaults to 'class'
+ @returns {{getHeights: function(number[][], number[]): Promise<number[]>}} clutter provider, classes without height are ignored
+ */
+function createLandCoverClutterProvider(geojson, classHeights, options = {}) {
+    const classProperty = options.classProperty || 'class';
+    return createPolygonClutterProvider(geojson, feature => classHeights[(feature.properties || {})[classProperty]]);
+}
+
+/**
+ Combines clutter providers, e.g. buildings from GeoJSON and forests from land-cover
+ @param {{getHeights: function(number[][], number[]): Promise<number[]>}[]} providers: clutter providers
+ @returns {{getHeights: function(number[][], number[]): Promise<number[]>}} clutter provider with the highest clutter of all providers
+ */
+function combineClutterProviders(providers) {
+    return {
+        getHeights: async function (locations, terrainElevations) {
+            const heights = await Promise.all(providers.map(provider => provider.getHeights(locations, terrainElevations)));
+            return locations.map((location, index) => Math.max(0, ...heights.map(providerHeights => providerHeights[index] || 0)));
+        }
+    };
+}
+
+/**
+ Creates a land-cover provider for the land-cover attenuation of calcRadPatternWithObstacles (option landCover)
+ @param {object} geojson: GeoJSON FeatureCollection of land-cover areas
+ @param {{classProperty: string}} [options]: classProperty: property with the land-cover class, defaults to 'class'
+ @returns {{getClasses: function(number[][]): Promise<string[]>}} land-cover provider, returns the class at every location [lat,long], undefined outside of all areas
+ */
+function createLandCoverProvider(geojson, options = {}) {
+    const classProperty = options.classProperty || 'class';
+    const featuresAt = indexPolygons(geojson);
+    return {
+        getClasses: async function (locations) {
+            return locations.map(location => {
+                const features = featuresAt(location);
+                //later features are drawn on top of earlier ones
+                return features.length > 0 ? (features[features.length - 1].properties || {})[classProperty] : undefined;
+            });
+        }
+    };
+}
@@ -0,0 +1,211 @@
+/**
+ Elevation providers for the coverage calculations, see the elevationProvider option of calcRadPatternWithObstacles.
+ Every provider is an object with an async batched lookup:
+ getElevations(locations: number[][]) => Promise<number[]>, the elevation in meters of every location [lat,long], NaN where unknown
+ */
+
+/**
+ Decodes the elevation of a Mapbox Terrain-RGB pixel
+ @param {number[]} rgba: color of the pixel [red, green, blue, alpha]
+ @returns {number} elevation in meters
+ */
+function decodeTerrainRGB(rgba) {
+    return -10000 + ((rgba[0] * 256 * 256 + rgba[1] * 256 + rgba[2]) * 0.1);
+}
+
+/**
+ Decodes the elevation of a Terrarium (Mapzen) pixel
+ @param {number[]} rgba: color of the pixel [red, green, blue, alpha]
+ @returns {number} elevation in meters
+ */
+function decodeTerrarium(rgba) {
+    return (rgba[0] * 256 + rgba[1] + rgba[2] / 256) - 32768;
+}
+
+/**
+ Creates an elevation provider reading the pixels of the loaded tiles of a L.tileLayer.colorPicker (lib/leaflet-tilelayer-colorpicker.js)
+ @param {L.TileLayer.ColorPicker} colorPickerLayer: tile layer with encoded elevation tiles, added to the map
+ @param {function(number[]): number} decode: decodes the elevation of a pixel, e.g. decodeTerrainRGB or decodeTerrarium
+ @returns {{getElevations: function(number[][]): Promise<number[]>}} elevation provider, NaN for locations outside of the loaded tiles
+ */
+function createColorPickerElevationProvider(colorPickerLayer, decode) {
+    return {
+        getElevations: async function (locations) {
+            return locations.map(location => {
+                let colorAsRGBA = colorPickerLayer.getColor(location);
+                return colorAsRGBA !== null ? Number(decode(colorAsRGBA).toFixed(2)) : NaN;
+            });
+        }
+    };
+}
+
+/**
+ Creates an elevation provider for Mapbox Terrain-RGB tiles
+ @param {L.TileLayer.ColorPicker} colorPickerLayer: L.tileLayer.colorPicker with Terrain-RGB tiles
+ @returns {{getElevations: function(number[][]): Promise<number[]>}} elevation provider
+ */
+function createTerrainRGBElevationProvider(colorPickerLayer) {
+    return createColorPickerElevationProvider(colorPickerLayer, decodeTerrainRGB);
+}
+
+/**
+ Creates an elevation provider for Terrarium (Mapzen) tiles, e.g. the AWS Terrain Tiles
+ @param {L.TileLayer.ColorPicker} colorPickerLayer: L.tileLayer.colorPicker with Terrarium tiles
+ @returns {{getElevations: function(number[][]): Promise<number[]>}} elevation provider
+ */
+function createTerrariumElevationProvider(colorPickerLayer) {
+    return createColorPickerElevationProvider(colorPickerLayer, decodeTerrarium);
+}
+
+/**
+ Creates an elevation provider interpolating bilinearly in a static grid of elevations in geographic coordinates
+ @param {{north: number, south: number, east: number, west: number, width: number, height: number, elevations: number[], nodata: number}} grid:
+ bounds of the grid in degrees, number of columns and rows, elevations in meters row by row starting at the north-west corner
+ (the first and last column and row lie on the bounds), optional nodata value of missing elevations
+ @returns {{getElevations: function(number[][]): Promise<number[]>}} elevation provider, NaN outside of the grid and next to missing elevations
+ */
+function createGridElevationProvider(grid) {
+    function elevationAt(column, row) {
+        let elevation = grid.elevations[row * grid.width + column];
+        return elevation === grid.nodata ? NaN : elevation;
+    }
+
+    return {
+        getElevations: async function (locations) {
+            return locations.map(([lat, lng]) => {
+                let x = (lng - grid.west) / (grid.east - grid.west) * (grid.width - 1);
+                let y = (grid.north - lat) / (grid.north - grid.south) * (grid.height - 1);
+                if (!(x >= 0 && y >= 0 && x <= grid.width - 1 && y <= grid.height - 1)) {
+                    return NaN;
+                }
+                let column = Math.min(Math.floor(x), grid.width - 2),
+                    row = Math.min(Math.floor(y), grid.height - 2);
+                let dx = x - column,
+                    dy = y - row;
+                let elevation = 0;
+                for (const [weight, neighbourColumn, neighbourRow] of [[(1 - dx) * (1 - dy), column, row], [dx * (1 - dy), column + 1, row],
+                    [(1 - dx) * dy, column, row + 1], [dx * dy, column + 1, row + 1]]) {
+                    //neighbours without weight, e.g. on the border of the grid, may be missing
+                    if (weight > 0) {
+                        elevation += weight * elevationAt(neighbourColumn, neighbourRow);
+                    }
+                }
+                return elevation;
+            });
+        }
+    };
+}
+
+/**
+ Creates an elevation provider from a custom lookup, e.g. an elevation API
+ @param {function(number[][]): (number[]|Promise<number[]>)} callback: returns the elevations in meters of the given locations [[lat,long]]
+ @returns {{getElevations: function(number[][]): Promise<number[]>}} elevation provider
+ */
+function createCallbackElevationProvider(callback) {
+    return {
+        getElevations: async function (locations) {
+            return await callback(locations);
+        }
+    };
+}
+
+/**
+ Creates an elevation provider which fetches and decodes the elevation tiles it needs on demand, independent of the map view
+ @param {string} urlTemplate: tile url with {z}, {x}, {y} and optionally {s} and further placeholders set in options,
+ e.g. 'https://api.mapbox.com/v4/mapbox.terrain-rgb/{z}/{x}/{y}.pngraw?access_token={access_token}'
+ @param {{zoom: number, decode: function(number[]): number, subdomains: string|string[], maxCachedTiles: number}} [options]:
+ zoom: zoom level of the fetched tiles, defaults to 12 (about 38 m per pixel at the equator with 256 px tiles),
+ decode: decodes the elevation of a pixel, defaults to decodeTerrainRGB,
+ subdomains: replace {s} in the url, defaults to 'abc',
+ maxCachedTiles: number of decoded tiles kept in memory, defaults to 256,
+ all other options fill the placeholders of the url, e.g. access_token
+ @returns {{getElevations: function(number[][]): Promise<number[]>}} elevation provider, NaN for locations of tiles which could not be loaded,
+ tiles which failed to load for another reason than not existing are requested again by the next lookup
+ */
+function createTileElevationProvider(urlTemplate, options = {}) {
+    const zoom = options.zoom !== undefined ? options.zoom : 12,
+        decode = options.decode || decodeTerrainRGB,
+        subdomains = options.subdomains || 'abc',
+        maxCachedTiles = options.maxCachedTiles || 256;
+    //promises of the decoded tiles by their key, in the order of their last use
+    const tiles = new Map();
+
+    function loadTile(x, y) {
+        const key = x + ':' + y;
+        let tile = tiles.get(key);
+        if (tile) {
+            //mark as recently used
+            tiles.delete(key);
+        } else {
+            const url = L.Util.template(urlTemplate, L.extend({}, options, {
+                x: x,
+                y: y,
+                z: zoom,
+                s: subdomains[Math.abs(x + y) % subdomains.length]
+            }));
+            tile = fetchElevationTile(url, decode).catch(() => {
+                //not kept in the cache, so the next lookup tries again
+                if (tiles.get(key) === tile) {
+                    tiles.delete(key);
+                }
+                return null;
+            });
+            if (tiles.size >= maxCachedTiles) {
+                tiles.delete(tiles.keys().next().value);
+            }
+        }
+        tiles.set(key, tile);
+        return tile;
+    }
+
+    return {
+        getElevations: async function (locations) {
+            const tileCount = Math.pow(2, zoom);
+            //position of every location in tiles
+            const positions = locations.map(([lat, lng]) => {
+                const sinLat = Math.sin(Math.max(Math.min(lat, 85.0511), -85.0511) * Math.PI / 180);
+                return [(lng + 180) / 360 * tileCount, (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI)) * tileCount];
+            });
+            return await Promise.all(positions.map(async ([x, y]) => {
+                const tileX = ((Math.floor(x) % tileCount) + tileCount) % tileCount,
+                    tileY = Math.min(Math.floor(y), tileCount - 1);
+                const tile = await loadTile(tileX, tileY);
+                if (!tile) {
+                    return NaN;
+                }
+                const column = Math.min(Math.floor((x - Math.floor(x)) * tile.width), tile.width - 1),
+                    row = Math.min(Math.floor((y - tileY) * tile.height), tile.height - 1);
+                return Number(tile.elevations[row * tile.width + column].toFixed(2));
+            }));
+        }
+    };
+}
+
+/**
+ Fetches an elevation tile and decodes the elevation of every pixel
+ @param {string} url: url of the tile image
+ @param {function(number[]): number} decode: decodes the elevation of a pixel
+ @returns {Promise<{width: number, height: number, elevations: Float32Array}|null>} elevations in meters row by row, null if the tile doesn't exist (404)
+ @throws {Error} if the tile could not be loaded for another reason, e.g. a network error or too many requests
+ */
+async function fetchElevationTile(url, decode) {
+    const response = await fetch(url);
+    if (response.status === 404) {
+        return null;
+    }
+    if (!response.ok) {
+        throw new Error('Elevation tile not available: ' + url);
+    }
+    const image = await createImageBitmap(await response.blob());
+    const canvas = typeof OffscreenCanvas !== 'undefined' ? new OffscreenCanvas(image.width, image.height) : document.createElement('canvas');
+    canvas.width = image.width;
+    canvas.height = image.height;
+    const context = canvas.getContext('2d');
+    context.drawImage(image, 0, 0);
+    const pixels = context.getImageData(0, 0, image.width, image.height).data;
+    let elevations = new Float32Array(image.width * image.height);
+    for (let i = 0; i < elevations.length; i++) {
+        elevations[i] = decode(pixels.subarray(i * 4, i * 4 + 4));
+    }
+    return {width: image.width, height: image.height, elevations: elevations};
+}
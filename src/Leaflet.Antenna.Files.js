@@ -1,22 +1,247 @@
+/**
+ Converts the values of an .ant file to a horizontal and vertical radiation pattern
+ @param {number[]} values: 360 horizontal values, optionally followed by 360 vertical values starting at the zenith (90 being the horizon)
+ @returns {{horizontal: number[], vertical: number[]}} gain difference to the maximum gain per degree,
+ horizontal clockwise from the pointing direction, vertical downwards from the horizon (90 being the nadir, 270 the zenith)
+ */
+function antValuesToPattern(values) {
+    let vertical = [];
+    for (let angle = 0; angle < 360; angle++) {
+        //without vertical values the antenna radiates equally in all elevation angles
+        vertical.push(values.length >= 720 ? values[360 + (90 + angle) % 360] : 0);
+    }
+    return {horizontal: values.slice(0, 360), vertical: vertical};
+}
+
+/**
+ Resamples pattern values at arbitrary angles to one value per degree, interpolating linearly between the given angles
+ @param {number[][]} anglesAndValues: [[angle in degrees, value]], angles can be negative, e.g. from -180 to 180
+ @returns {number[]} values per degree, starting at 0 and increasing by 1.
+ */
+function resamplePattern(anglesAndValues) {
+    const points = anglesAndValues
+        .map(([angle, value]) => [((angle % 360) + 360) % 360, value])
+        .sort((a, b) => a[0] - b[0]);
+    let values = [];
+    for (let angle = 0; angle < 360; angle++) {
+        //neighbouring points, wrapping around at 360°
+        let upperIndex = points.findIndex(point => point[0] >= angle);
+        if (upperIndex < 0) {
+            upperIndex = 0;
+        }
+        const upper = points[upperIndex];
+        const lower = points[(upperIndex - 1 + points.length) % points.length];
+        const span = ((upper[0] - lower[0]) + 360) % 360;
+        const ratio = span === 0 ? 0 : (((angle - lower[0]) + 360) % 360) / span;
+        values.push(lower[1] + (upper[1] - lower[1]) * ratio);
+    }
+    return values;
+}
+
+/**
+ Parses the content of a Planet/MSI antenna file (.msi, .pln) into an antenna profile
+ @param {string} text: content of the file with the keywords NAME, FREQUENCY (MHz), GAIN (dBd unless followed by dBi),
+ HORIZONTAL and VERTICAL, each pattern followed by lines with an angle and the attenuation to the maximum gain in dB
+ @returns {{profile_name: string, frequency: number, gain: number, pattern: {horizontal: number[], vertical: number[]}}} antenna profile with
+ frequency in GHz, gain in dBi and the pattern (see antValuesToPattern), horizontal angles as in the file, vertical angles downwards from the horizon
+ */
+function parseMsiText(text) {
+    const lines = text.split(/\r?\n/);
+    let profile = {pattern: {horizontal: new Array(360).fill(0), vertical: new Array(360).fill(0)}};
+    for (let i = 0; i < lines.length; i++) {
+        const fields = lines[i].trim().split(/\s+/);
+        const keyword = fields[0].toUpperCase();
+        switch (keyword) {
+            case 'NAME':
+                profile.profile_name = fields.slice(1).join(' ');
+                break;
+            case 'FREQUENCY': {
+                //single frequency or band, e.g. 2400-2500
+                const band = fields[1].split('-').map(parseFloat);
+                profile.frequency = (band[0] + band[band.length - 1]) / 2 / 1000;
+                break;
+            }
+            case 'GAIN': {
+                const gain = parseFloat(fields[1]);
+                const unit = fields.slice(1).join('');
+                //dBd is the default unit of the format, 0 dBd == 2.15 dBi
+                profile.gain = /dbi/i.test(unit) ? gain : gain + 2.15;
+                break;
+            }
+            case 'HORIZONTAL':
+            case 'VERTICAL': {
+                const count = parseInt(fields[1]);
+                let anglesAndValues = [];
+                for (let j = 0; j < count && i + 1 < lines.length; j++) {
+                    const [angle, attenuation] = lines[++i].trim().split(/\s+/).map(parseFloat);
+                    anglesAndValues.push([angle, -attenuation]);
+                }
+                profile.pattern[keyword.toLowerCase()] = resamplePattern(anglesAndValues);
+                break;
+            }
+        }
+    }
+    return profile;
+}
+
+/**
+ Parses the content of a NSMA (TIA/EIA-804) or ADF antenna file into an antenna profile, both consist of "KEYWORD:,value" lines
+ @param {string} text: content of the file, each pattern cut starts with PATCUT (H/AZ or V/EL) and POLARI (e.g. H/H for co-polar, H/V for cross-polar),
+ followed by NUPOINTS and FSTLST and lines with the angle and the gain relative to the maximum gain in dB
+ @returns {{profile_name: string, frequency: number, gain: number, pattern: {horizontal: number[], vertical: number[], horizontalCrossPolar: number[], verticalCrossPolar: number[]}}} antenna profile with
+ frequency in GHz, gain in dBi and the co-polar and cross-polar envelopes (see antValuesToPattern), vertical angles downwards from the horizon
+ */
+function parseNsmaText(text) {
+    const lines = text.split(/\r?\n/);
+    let header = {};
+    let pattern = {};
+    let cut;
+    for (const line of lines) {
+        const fields = line.split(',').map(field => field.trim());
+        if (fields[0].endsWith(':')) {
+            const keyword = fields[0].slice(0, -1).toUpperCase();
+            if (keyword === 'PATCUT') {
+                cut = {plane: /^(V|EL)/i.test(fields[1]) ? 'vertical' : 'horizontal', anglesAndValues: []};
+            } else if (keyword === 'POLARI' && cut) {
+                //co-polar if the polarization of the antenna and the measurement are the same, e.g. H/H
+                const polarization = fields[1].toUpperCase().split('/');
+                cut.name = polarization[0] === polarization[1] ? cut.plane : cut.plane + 'CrossPolar';
+            } else if (keyword === 'ENDFIL') {
+                break;
+            } else if (!cut) {
+                header[keyword] = fields[1];
+            }
+        } else if (cut && fields.length >= 2 && !isNaN(parseFloat(fields[0]))) {
+            let angle = parseFloat(fields[0]);
+            //elevation angles of the file are positive above the horizon
+            if (cut.plane === 'vertical') {
+                angle = -angle;
+            }
+            cut.anglesAndValues.push([angle, parseFloat(fields[1])]);
+            //only the first cut of each kind is used, e.g. of the first polarization of dual polarized antennas
+            if (cut.name && !pattern[cut.name]) {
+                pattern[cut.name] = cut.anglesAndValues;
+            }
+        }
+    }
+
+    let profile = {pattern: {}};
+    for (const name of ['horizontal', 'vertical', 'horizontalCrossPolar', 'verticalCrossPolar']) {
+        if (pattern[name]) {
+            profile.pattern[name] = resamplePattern(pattern[name]);
+        }
+    }
+    profile.pattern.horizontal = profile.pattern.horizontal || new Array(360).fill(0);
+    profile.pattern.vertical = profile.pattern.vertical || new Array(360).fill(0);
+
+    if (header.MODNUM) {
+        profile.profile_name = [header.ANTMAN, header.MODNUM].filter(Boolean).join(' ');
+    }
+    //frequencies of the file are in MHz
+    if (header.PATFRE) {
+        profile.frequency = parseFloat(header.PATFRE) / 1000;
+    } else if (header.LOWFRQ && header.HGHFRQ) {
+        profile.frequency = (parseFloat(header.LOWFRQ) + parseFloat(header.HGHFRQ)) / 2 / 1000;
+    }
+    const gain = parseFloat(header.MDGAIN || header.HGGAIN || header.LWGAIN);
+    if (!isNaN(gain)) {
+        //0 dBd == 2.15 dBi
+        profile.gain = /^DBD/i.test(header.GUNITS || '') ? gain + 2.15 : gain;
+    }
+    return profile;
+}
+
+/**
+ Detects the format of an antenna file from its content
+ @param {string} text: content of the antenna file
+ @returns {string} 'nsma' for NSMA (TIA/EIA-804) files, 'adf' for ADF files, 'msi' for Planet/MSI files, else 'ant'
+ */
+function detectAntennaFileFormat(text) {
+    const revision = text.match(/^\s*REVNUM:,(.*)$/im);
+    if (revision) {
+        return /ADF/i.test(revision[1]) ? 'adf' : 'nsma';
+    }
+    if (/^\s*[A-Z0-9]{6}:,/m.test(text)) {
+        return 'nsma';
+    }
+    return /^\s*(NAME|HORIZONTAL|VERTICAL|GAIN|FREQUENCY)\b/im.test(text) ? 'msi' : 'ant';
+}
+
+/**
+ Parses an antenna file in any supported format (.ant, Planet/MSI, NSMA or ADF) into an antenna profile
+ @param {string} antFile: antenna file
+ @param {string} [format]: 'ant', 'msi', 'nsma' or 'adf', detected from the content of the file if not set
+ @returns {{ant_file: string, profile_name: string, frequency: number, gain: number, pattern: {horizontal: number[], vertical: number[]}}} antenna profile,
+ .ant files only contain the pattern
+ */
+async function parseAntennaFile(antFile, format) {
+    const text = await fetch(antFile).then(response => response.text());
+    let profile;
+    switch (format || detectAntennaFileFormat(text)) {
+        case 'msi':
+            profile = parseMsiText(text);
+            break;
+        case 'nsma':
+        case 'adf':
+            profile = parseNsmaText(text);
+            break;
+        case 'ant':
+            profile = {pattern: antValuesToPattern(JSON.parse("[" + text.trim().split(/\r?\n/) + "]"))};
+            break;
+        default:
+            throw new Error('Unknown antenna file format: ' + format);
+    }
+    profile.ant_file = antFile;
+    return profile;
+}
+
+/**
+ Parses the antenna file and returns the horizontal and vertical radiation pattern
+ @param {string} antFile: antenna file in any supported format (see parseAntennaFile)
+ @param {string} [format]: format of the antenna file, see parseAntennaFile
+ @returns {{horizontal: number[], vertical: number[]}} gain difference to the maximum gain per degree (see antValuesToPattern)
+ */
+async function parseAntennaPattern(antFile, format) {
+    return (await parseAntennaFile(antFile, format)).pattern;
+}
+
 /**
  Parses the .ant file and returns array with the gain value at each angle
  @param {string} antFile: .ant file
- @returns {number[]} gain value at each angle, starting at 0 and increasing by 1.
+ @returns {number[]} gain value at each angle, starting at 0 and increasing by 1 (the horizontal pattern, see parseAntennaPattern for the vertical pattern)
  */
 async function parseAntFile(antFile) {
-    return await fetch(antFile)
-        .then(response => response.text())
-        .then(data => data.split("\n"))
-        .then(data => JSON.parse("[" + data + "]"));
+    return (await parseAntennaPattern(antFile, 'ant')).horizontal;
+}
+
+/**
+ Loads the pattern of the antenna file of the given profile and completes missing frequency and gain from the file
+ @param {{ant_file: string, ant_format: string, frequency: number, gain: number}} antennaProfile: antenna profile, e.g. from antenna_profiles of the network file,
+ ant_format: format of the antenna file (see parseAntennaFile), detected from its content if not set
+ @returns {object} the same antenna profile with its pattern
+ */
+async function loadAntennaProfile(antennaProfile) {
+    if (antennaProfile.ant_file && !antennaProfile.pattern) {
+        const antennaFile = await parseAntennaFile(antennaProfile.ant_file, antennaProfile.ant_format);
+        antennaProfile.pattern = antennaFile.pattern;
+        if (antennaProfile.frequency === undefined) {
+            antennaProfile.frequency = antennaFile.frequency;
+        }
+        if (antennaProfile.gain === undefined) {
+            antennaProfile.gain = antennaFile.gain;
+        }
+    }
+    return antennaProfile;
 }
 
 /**
  Parses the .geojson file and draws markers and geometries from feature collection on the map with umap options if included
  @param {string} file: .geojson file
  @param {L.Map} map: leaflet map
+ @returns {Promise<L.GeoJSON>} resolves with the added layer when all markers are on the map
  */
 function addGeoJSONToMap(file, map) {
-    fetch(
+    return fetch(
         file
     ).then(
         res => res.json()
@@ -39,42 +264,148 @@ function setStyle(feature) {
     return feature.properties._umap_options;
 }
 
+//network file of every antenna returned by parseNetworkJSONFile as JSON, before the parser added its results to it, see assignNetworkChannels
+const networkFiles = new WeakMap();
+
 /**
  Parses the .json network file and draws antenna links and coverage on the given map
  @param {string} file: .json file
  @param {L.Map} map: leaflet map
- @returns {object[][]} antenna data needed for radiation pattern
+ @param {{elevationProvider: object, linkOptions: object, schema: object|string, strict: boolean, onWarning: function({path: string, message: string}[])}} [options]:
+ elevationProvider: terrain elevation lookup {getElevations(locations) => Promise<number[]>} (see Leaflet.Antenna.Elevation.js), defaults to the global colorPicker tile layer,
+ an elevation provider can also be passed instead of the options like before,
+ linkOptions: options of the link budgets of the antenna links (see calcLinkBudget), with the styles of the lines per link quality as linkStyles (overriding LINK_STYLES)
+ and the requiredClearance of linkQuality,
+ schema: parsed JSON Schema or its url (e.g. network.schema.json), without schema only the references between sites, markers, antennas, profiles and links are checked (see validateNetwork),
+ strict: if true an invalid file is rejected, otherwise the valid part of the network is drawn without the antennas with unknown profile or site and their links,
+ onWarning: gets the errors of an invalid file which is drawn anyway
+ @throws {Error} if the network file is invalid and strict is set, with the errors {path, message} as errors
+ @returns {object[][]} antenna data needed for radiation pattern, with the antenna profile as profile, the site position as position,
+ the terrain elevation at the site as ground_elevation, the profile of its default client antenna as cpe
+ and its entries of antenna_links as links, each with its link budget as budget (see calcLinkBudget), its quality (see linkQuality) and its polyline as line
  */
-async function parseNetworkJSONFile(file, map) {
+async function parseNetworkJSONFile(file, map, options = {}) {
+    if (typeof options.getElevations === 'function') {
+        options = {elevationProvider: options};
+    }
+    const elevationProvider = options.elevationProvider,
+        linkOptions = options.linkOptions || {};
     let antennaData = [];
     let networkData = await fetch(file).then(res => res.json());
+    const networkFile = JSON.stringify(networkData);
     let markerNameAndPos = getMapMarkerNameAndPos(map);
-    if (networkData.antenna_links) {
-        for (const antenna_link of networkData.antenna_links) {
-            let site_from = findSiteOfAntenna(antenna_link.antenna_from, networkData.antenna_sites);
-            let site_to = findSiteOfAntenna(antenna_link.antenna_to, networkData.antenna_sites);
-
-            let antenna_from = getPositionOfMarker(site_from, markerNameAndPos);
-            let antenna_to = getPositionOfMarker(site_to, markerNameAndPos);
-
-            if (antenna_from && antenna_to)
-                L.polyline([antenna_from, antenna_to], {radius: 5}).addTo(map);
+    const schema = typeof options.schema === 'string' ? await fetch(options.schema).then(res => res.json()) : options.schema;
+    const errors = validateNetwork(networkData, {schema: schema, markerNames: markerNameAndPos.map(marker => marker.name)});
+    if (errors.length > 0) {
+        if (options.strict) {
+            let error = new Error('Invalid network file ' + file + ':\n' + errors.map(error => error.path + ': ' + error.message).join('\n'));
+            error.errors = errors;
+            throw error;
+        }
+        if (options.onWarning) {
+            options.onWarning(errors);
         }
     }
+    for (const antennaProfile of networkData.antenna_profiles || []) {
+        await loadAntennaProfile(antennaProfile);
+    }
     if (networkData.antenna_sites) {
         for (const site of networkData.antenna_sites) {
-            for (const antenna of site.installed_antennas) {
+            for (const antenna of site.installed_antennas || []) {
                 let antennaProfile = getAntennaProfile(antenna.antenna_profile, networkData.antenna_profiles);
                 let antennaPosition = getPositionOfMarker(site.site_name, markerNameAndPos);
+                if (!antennaProfile || !antennaPosition) {
+                    //unknown profile or site, reported by validateNetwork
+                    continue;
+                }
                 antenna.profile = antennaProfile;
                 antenna.position = antennaPosition;
+                if (antenna.cpe_profile) {
+                    //default receiving antenna of the clients of this antenna, see rxProfile of calcRadPatternWithObstacles
+                    antenna.cpe = getAntennaProfile(antenna.cpe_profile, networkData.antenna_profiles);
+                }
+                if (antenna.channel !== undefined) {
+                    //bandwidth in MHz, center frequency of the channel in MHz in the band of the antenna profile, see calcSINR
+                    antenna.bandwidth = antenna.bandwidth || 20;
+                    antenna.channel_frequency = channelFrequency(antenna.channel, antennaProfile.frequency);
+                }
+                networkFiles.set(antenna, networkFile);
                 antennaData.push(antenna);
             }
         }
     }
+    //look up the terrain elevation of all sites at once
+    const positionedAntennas = antennaData.filter(antenna => antenna.position);
+    const groundElevations = elevationProvider
+        ? await elevationProvider.getElevations(positionedAntennas.map(antenna => antenna.position))
+        : await Promise.all(positionedAntennas.map(antenna => getElevationAtPointRGB(antenna.position)));
+    positionedAntennas.forEach((antenna, index) => antenna.ground_elevation = groundElevations[index]);
+    if (networkData.antenna_links) {
+        for (const antenna_link of networkData.antenna_links) {
+            let antenna_from = antennaData.find(antenna => antenna.antenna_name === antenna_link.antenna_from);
+            let antenna_to = antennaData.find(antenna => antenna.antenna_name === antenna_link.antenna_to);
+
+            if (antenna_from && antenna_to && antenna_from.position && antenna_to.position && antenna_from.profile && antenna_to.profile) {
+                antenna_link.budget = await calcLinkBudget(antenna_from, antenna_to, L.extend({elevationProvider: elevationProvider}, linkOptions));
+                antenna_link.quality = linkQuality(antenna_link.budget, linkOptions.requiredClearance);
+                let line = L.polyline([antenna_from.position, antenna_to.position],
+                    L.extend({}, LINK_STYLES[antenna_link.quality], (linkOptions.linkStyles || {})[antenna_link.quality])).addTo(map);
+                line.bindPopup(linkBudgetPopupContent(antenna_link));
+                line.bindTooltip(linkTooltipContent(antenna_link), {sticky: true});
+                antenna_link.line = line;
+                //e.g. shows the terrain profile of the link in L.Control.TerrainProfile
+                line.on('click', () => map.fire('antennalinkclick', {link: antenna_link}));
+                for (const antenna of [antenna_from, antenna_to]) {
+                    antenna.links = (antenna.links || []).concat(antenna_link);
+                }
+            }
+        }
+    }
     return antennaData;
 }
 
+//polyline options of the antenna links per link quality (see linkQuality)
+const LINK_STYLES = {
+    'clear': {color: '#1a9641', weight: 4},
+    'fresnel-obstructed': {color: '#fdae61', weight: 4, dashArray: '10 6'},
+    'blocked': {color: '#d7191c', weight: 4, dashArray: '3 6'},
+    'out-of-range': {color: '#7b3294', weight: 3, dashArray: '1 8'}
+};
+
+/**
+ Creates the tooltip content of an antenna link with the received power and fade margin at both ends
+ @param {{antenna_from: string, antenna_to: string, budget: object, quality: string}} antennaLink: entry of antenna_links with its link budget and quality
+ @returns {string} html of the tooltip
+ */
+function linkTooltipContent(antennaLink) {
+    const budget = antennaLink.budget;
+    return antennaLink.antenna_from + ' &harr; ' + antennaLink.antenna_to + ' (' + antennaLink.quality + ')<br>'
+        + antennaLink.antenna_from + ': ' + budget.from.receivedPower.toFixed(1) + ' dBm, margin ' + budget.from.fadeMargin.toFixed(1) + ' dB<br>'
+        + antennaLink.antenna_to + ': ' + budget.to.receivedPower.toFixed(1) + ' dBm, margin ' + budget.to.fadeMargin.toFixed(1) + ' dB';
+}
+
+/**
+ Creates the popup content of an antenna link with its link budget
+ @param {{antenna_from: string, antenna_to: string, budget: object}} antennaLink: entry of antenna_links with its link budget (see calcLinkBudget)
+ @returns {string} html table of the link budget for both ends of the link
+ */
+function linkBudgetPopupContent(antennaLink) {
+    const budget = antennaLink.budget;
+    const row = (label, from, to, unit) => '<tr><td>' + label + '</td><td>' + from + ' ' + unit + '</td><td>' + to + ' ' + unit + '</td></tr>';
+    return '<b>' + antennaLink.antenna_from + ' &harr; ' + antennaLink.antenna_to + '</b><br>'
+        + 'Distance: ' + (budget.distance / 1000).toFixed(2) + ' km<br>'
+        + 'Path loss: ' + budget.pathLoss.toFixed(1) + ' dB (free space: ' + budget.freeSpaceLoss.toFixed(1) + ' dB)<br>'
+        + 'Line of sight: ' + (budget.lineOfSightClear ? 'clear' : 'obstructed') + ', fresnel clearance: ' + budget.fresnelClearance.toFixed(0) + ' %'
+        + '<table><tr><th></th><th>' + antennaLink.antenna_from + '</th><th>' + antennaLink.antenna_to + '</th></tr>'
+        + row('Azimuth', budget.from.azimuth.toFixed(1), budget.to.azimuth.toFixed(1), '&deg;')
+        + row('Elevation angle', budget.from.elevationAngle.toFixed(2), budget.to.elevationAngle.toFixed(2), '&deg;')
+        + row('Pattern gain', budget.from.patternGain.toFixed(1), budget.to.patternGain.toFixed(1), 'dB')
+        + row('Gain', budget.from.gain.toFixed(1), budget.to.gain.toFixed(1), 'dBi')
+        + row('Received power', budget.from.receivedPower.toFixed(1), budget.to.receivedPower.toFixed(1), 'dBm')
+        + row('Fade margin', budget.from.fadeMargin.toFixed(1), budget.to.fadeMargin.toFixed(1), 'dB')
+        + '</table>';
+}
+
 /**
  Returns the position of the given marker if the entry is included in the given array
  @param {string} markerName: name of the marker
@@ -95,12 +426,12 @@ function getPositionOfMarker(markerName, markerNameAndPosList) {
 /**
  Returns the profile of the given antenna if the entry is included in the given array
  @param {string} antennaModel: name of the antenna profile
- @param {{ant_file: string,frequency: number,gain: number,output_power: number, profile_name: string, sensitivity: number}[]} antennaProfiles: array of antenna specifications
+ @param {{ant_file: string,frequency: number,gain: number,output_power: number, profile_name: string, sensitivity: number}[]} [antennaProfiles]: array of antenna specifications
  @returns {{ant_file: string,frequency: number,gain: number,output_power: number, profile_name: string, sensitivity: number}} antenna profile
  */
 function getAntennaProfile(antennaModel, antennaProfiles) {
     let antennaProfile;
-    for (const profile of antennaProfiles) {
+    for (const profile of antennaProfiles || []) {
         if (profile.profile_name === antennaModel) {
             antennaProfile = profile;
             break;
@@ -129,47 +460,22 @@ function getMapMarkerNameAndPos(map) {
 }
 
 /**
- Finds the the site corresponding to the given antenna
- @param {string} antennaName
- @param {{installed_antennas}[]} antennaSites: list of all installed antennas on all sites
- @returns {string} name of the antenna site
- */
-function findSiteOfAntenna(antennaName, antennaSites) {
-    //TODO: Exception handling if site not found
-    let site_name;
-    outer_loop:
-        for (const site of antennaSites) {
-            for (const installed_antenna of site.installed_antennas) {
-                if (installed_antenna.antenna_name === antennaName) {
-                    site_name = site.site_name;
-                    break outer_loop;
-                }
-            }
-        }
-    return site_name;
-}
-
-/**
- Calculates the elevation at the given location using the colorPicker tilelayer
+ Calculates the elevation at the given location using the global colorPicker tilelayer with Terrain-RGB tiles,
+ used if no elevationProvider is passed (see Leaflet.Antenna.Elevation.js)
  @param {number[]} location: point of interest, e.g. [51.33849, 12.40729]
  @returns {number} elevation at the given location
  */
 async function getElevationAtPointRGB(location) {
     //TODO: fully initialize requested tiles before using getColor (currently tiles have to be loaded beforehand by looking at the map region)
     //modify leaflet-tilelayer-colorpicker to execute this._update function when tile is not loaded with setTimeout until loaded
-    //TODO: use try/catch for NaN exceptions
-    let colorAsRGBA = colorPicker.getColor(location);
-    let h;
-    if (colorAsRGBA !== null) {
-        h = -10000 + ((colorAsRGBA[0] * 256 * 256 + colorAsRGBA[1] * 256 + colorAsRGBA[2]) * 0.1);
-    }
-    return isNaN(h) ? NaN : Number(h.toFixed(2));
+    return (await createTerrainRGBElevationProvider(colorPicker).getElevations([location]))[0];
 }
 
 /**
  Draws antenna radiation pattern on the given map
  @param {latLng[][]} radiationPoints: holds good, okay and badly destination points as three seperate latLng arrays
  @param {L.Map} map: leaflet map
+ @returns {L.LayerGroup} layer group with the layers of the radiation pattern, e.g. to toggle it in a layer control
  */
 function drawRadiationPattern(radiationPoints, map) {
     //create own pane that sits lower than default overlayPane
@@ -204,14 +510,227 @@ function drawRadiationPattern(radiationPoints, map) {
     layerGoodReachablePoints.setData(radiationPoints[0]);
     layerOkayReachablePoints.setData(radiationPoints[1]);
     layerBadlyReachablePoints.setData(radiationPoints[2]);
-    map.addLayer(layerGoodReachablePoints);
-    map.addLayer(layerOkayReachablePoints);
-    map.addLayer(layerBadlyReachablePoints);
 
-    L.polygon(radiationPoints[3], {
+    let layerBorder = L.polygon(radiationPoints[3], {
         color: 'yellow',
         stroke: false,
         pane: 'radiationPatternPane'
-    }).addTo(map);
+    });
+    return L.layerGroup([layerGoodReachablePoints, layerOkayReachablePoints, layerBadlyReachablePoints, layerBorder]).addTo(map);
 }
 
+/**
+ Calculates the coverage of an installed antenna of a parsed network
+ @param {object} antenna: installed antenna as returned by parseNetworkJSONFile
+ @param {object} [options]: options of calcRadPatternWithObstacles, the rxProfile defaults to the cpe
+ and the downtilts to the mechanical_downtilt and electrical_downtilt of the antenna
+ @returns {Promise<Number[][]>} coverage as returned by calcRadPatternWithObstacles
+ */
+async function calcAntennaCoverage(antenna, options = {}) {
+    const coverageOptions = L.extend({
+        rxProfile: antenna.cpe,
+        mechanicalDowntilt: antenna.mechanical_downtilt,
+        electricalDowntilt: antenna.electrical_downtilt
+    }, options);
+    return await calcRadPatternWithObstacles(antenna.position, antenna.point_dir, antenna.install_height, antenna.profile, coverageOptions);
+}
+
+/**
+ Calculates the coverage of every installed antenna of a parsed network
+ @param {object[]} antennaData: installed antennas as returned by parseNetworkJSONFile
+ @param {object} [options]: options of calcRadPatternWithObstacles for all antennas (see calcAntennaCoverage)
+ @returns {Promise<Object<string, Number[][]>>} coverage of every antenna with position and profile by its name
+ */
+async function calcNetworkCoverage(antennaData, options = {}) {
+    let coverages = {};
+    for (const antenna of antennaData) {
+        if (antenna.position && antenna.profile) {
+            coverages[antenna.antenna_name] = await calcAntennaCoverage(antenna, options);
+        }
+    }
+    return coverages;
+}
+
+/**
+ Returns the received signal strength of every coverage, see mergeCoverage
+ @param {Object<string, Number[][]>} coverages: coverages as returned by calcNetworkCoverage
+ @returns {Object<string, number[][]>} reachable points with their received power [[lat,long,power]] by antenna name
+ */
+function signalStrengthOfCoverages(coverages) {
+    let signalStrengthPoints = {};
+    for (const name in coverages) {
+        signalStrengthPoints[name] = coverages[name][4];
+    }
+    return signalStrengthPoints;
+}
+
+/**
+ Calculates and draws the coverage of every installed antenna of a parsed network, each antenna as own layer in a layer control
+ @param {object[]} antennaData: installed antennas as returned by parseNetworkJSONFile
+ @param {L.Map} map: leaflet map
+ @param {object} [options]: options of calcRadPatternWithObstacles for all antennas, e.g. elevationProvider and workerPool,
+ the rxProfile defaults to the cpe and the downtilts to the mechanical_downtilt and electrical_downtilt of each antenna,
+ layerControl: L.control.layers the layers are added to, a new one is added to the map if not set,
+ signalStrength: if set, the signal strength of each antenna is drawn as additional layer with these options of drawSignalStrength
+ @returns {Promise<{layers: Object<string, L.Layer>, layerControl: L.Control.Layers}>} the layers by their name in the layer control and the layer control
+ */
+async function drawNetworkCoverage(antennaData, map, options = {}) {
+    let layerControl = options.layerControl || L.control.layers(null, null, {collapsed: false}).addTo(map);
+    let layers = {};
+    for (const antenna of antennaData) {
+        if (!antenna.position || !antenna.profile) {
+            continue;
+        }
+        const radiationPoints = await calcAntennaCoverage(antenna, options);
+
+        layers[antenna.antenna_name] = drawRadiationPattern(radiationPoints, map);
+        layerControl.addOverlay(layers[antenna.antenna_name], antenna.antenna_name);
+        if (options.signalStrength) {
+            const name = antenna.antenna_name + ' (signal strength)';
+            layers[name] = drawSignalStrength(radiationPoints[4], map, options.signalStrength);
+            layerControl.addOverlay(layers[name], name);
+        }
+    }
+    return {layers: layers, layerControl: layerControl};
+}
+
+/**
+ Calculates the coverage of every installed antenna of a parsed network and draws which antenna serves each location best
+ @param {object[]} antennaData: installed antennas as returned by parseNetworkJSONFile
+ @param {L.Map} map: leaflet map
+ @param {object} [options]: options of calcRadPatternWithObstacles for all antennas (see calcAntennaCoverage),
+ cellSize: size of the grid cells in meters (see mergeCoverage), union: if true, the union of the coverage of all antennas is drawn as well (see drawRadiationPattern),
+ layerOptions: options of L.GridLayer.BestServer, e.g. the colors of the antennas as serverColors, the radius defaults to half the cellSize
+ @returns {Promise<{cells: object[], layer: L.GridLayer.BestServer, unionLayer: L.LayerGroup, coverages: Object<string, Number[][]>}>}
+ the merged grid cells (see mergeCoverage), the best-server layer, the union layer if drawn and the coverage of every antenna by its name
+ */
+async function drawBestServerCoverage(antennaData, map, options = {}) {
+    const coverages = await calcNetworkCoverage(antennaData, options);
+    const cells = mergeCoverage(signalStrengthOfCoverages(coverages), options.cellSize);
+
+    //cells as circles in meters fitting the size of the cells
+    let layer = L.gridLayer.bestServer(L.extend({radius: (options.cellSize || 50) / 2, useAbsoluteRadius: true}, options.layerOptions));
+    layer.setData(cells);
+    map.addLayer(layer);
+
+    let unionLayer;
+    if (options.union) {
+        const names = Object.keys(coverages);
+        //lists of good, okay and badly reachable points of all antennas, the borders as one polygon each
+        unionLayer = drawRadiationPattern([0, 1, 2].map(list => [].concat(...names.map(name => coverages[name][list])))
+            .concat([names.map(name => [coverages[name][3]])]), map);
+    }
+    return {cells: cells, layer: layer, unionLayer: unionLayer, coverages: coverages};
+}
+
+//SINR in dB with the color (#rrggbb) at that SINR
+const SINR_COLOR_RAMP = [
+    {power: -5, color: '#d7191c'},
+    {power: 5, color: '#fdae61'},
+    {power: 15, color: '#ffffbf'},
+    {power: 25, color: '#a6d96a'},
+    {power: 35, color: '#1a9641'}
+];
+
+/**
+ Calculates the coverage of every installed antenna of a parsed network and draws the signal to interference and noise ratio,
+ the best-serving antenna is the signal, other antennas on the same or adjacent channels are the interference (see calcSINR)
+ @param {object[]} antennaData: installed antennas as returned by parseNetworkJSONFile, with channel and bandwidth
+ @param {L.Map} map: leaflet map
+ @param {object} [options]: options of calcRadPatternWithObstacles for all antennas (see calcAntennaCoverage),
+ cellSize: size of the grid cells in meters (see mergeCoverage), adjacentChannelRejection and noiseFigure: see calcSINR,
+ layerOptions: options of L.GridLayer.SignalStrength, the colorRamp defaults to SINR_COLOR_RAMP and the radius to half the cellSize
+ @returns {Promise<{cells: object[], layer: L.GridLayer.SignalStrength, coverages: Object<string, Number[][]>}>}
+ the grid cells with their SINR (see calcSINR), the SINR layer and the coverage of every antenna by its name
+ */
+async function drawSINRCoverage(antennaData, map, options = {}) {
+    const coverages = await calcNetworkCoverage(antennaData, options);
+    let channels = {};
+    for (const antenna of antennaData) {
+        if (antenna.channel_frequency) {
+            channels[antenna.antenna_name] = {frequency: antenna.channel_frequency, bandwidth: antenna.bandwidth};
+        }
+    }
+    const cells = calcSINR(mergeCoverage(signalStrengthOfCoverages(coverages), options.cellSize), channels, options);
+    const layer = drawSignalStrength(cells.map(cell => [cell.latLng[0], cell.latLng[1], cell.sinr]), map,
+        L.extend({colorRamp: SINR_COLOR_RAMP, radius: (options.cellSize || 50) / 2, useAbsoluteRadius: true}, options.layerOptions));
+    return {cells: cells, layer: layer, coverages: coverages};
+}
+
+/**
+ Assigns channels from a list of allowed channels to the installed antennas of a parsed network, see optimizeChannels
+ @param {object[]} antennaData: installed antennas as returned by parseNetworkJSONFile, get the assigned channel, bandwidth and channel_frequency
+ @param {number[]} allowedChannels: allowed WLAN channel numbers, e.g. [1, 6, 11], in the band of the frequency of the antenna profile of each antenna (see channelFrequency)
+ @param {object} [options]: options of calcRadPatternWithObstacles for all antennas (see calcAntennaCoverage) and of optimizeChannels,
+ coverages: coverage of every antenna by its name as returned by drawBestServerCoverage or drawSINRCoverage, calculated if not set,
+ cellSize: size of the grid cells in meters (see mergeCoverage),
+ clients: GeoJSON FeatureCollection with the locations of the clients as Point features, cells are weighted by their number of clients instead of their area
+ @returns {Promise<{network: object, channels: Object<string, number>, before: object, after: object}>} the network file the antennas were parsed from
+ with the assigned channels (undefined if the antennas weren't returned by parseNetworkJSONFile), the assigned channel by antenna name
+ and the interference before and after the assignment (see summarizeInterference)
+ */
+async function assignNetworkChannels(antennaData, allowedChannels, options = {}) {
+    const coverages = options.coverages || await calcNetworkCoverage(antennaData, options);
+    let cells = mergeCoverage(signalStrengthOfCoverages(coverages), options.cellSize);
+    if (options.clients) {
+        const clients = options.clients.features
+            .filter(feature => feature.geometry && feature.geometry.type === 'Point')
+            .map(feature => [feature.geometry.coordinates[1], feature.geometry.coordinates[0]]);
+        weightCellsByClients(cells, clients, options.cellSize);
+    }
+
+    let initialChannels = {},
+        antennaChannels = {};
+    for (const antenna of antennaData) {
+        if (!coverages[antenna.antenna_name]) {
+            continue;
+        }
+        const bandwidth = antenna.bandwidth || 20;
+        if (antenna.channel_frequency) {
+            initialChannels[antenna.antenna_name] = {channel: antenna.channel, frequency: antenna.channel_frequency, bandwidth: bandwidth};
+        }
+        antennaChannels[antenna.antenna_name] = allowedChannels.map(channel => ({
+            channel: channel,
+            frequency: channelFrequency(channel, antenna.profile.frequency),
+            bandwidth: bandwidth
+        }));
+    }
+    const result = optimizeChannels(cells, antennaChannels, initialChannels, options);
+
+    let channels = {};
+    for (const antenna of antennaData) {
+        const channel = result.channels[antenna.antenna_name];
+        if (channel && antennaChannels[antenna.antenna_name]) {
+            antenna.channel = channel.channel;
+            antenna.bandwidth = channel.bandwidth;
+            antenna.channel_frequency = channel.frequency;
+            channels[antenna.antenna_name] = channel.channel;
+        }
+    }
+    const networkFile = antennaData.map(antenna => networkFiles.get(antenna)).find(networkFile => networkFile !== undefined);
+    let networkData = networkFile !== undefined ? JSON.parse(networkFile) : undefined;
+    for (const site of networkData ? networkData.antenna_sites : []) {
+        for (const antenna of site.installed_antennas || []) {
+            if (channels[antenna.antenna_name] !== undefined) {
+                antenna.channel = channels[antenna.antenna_name];
+                antenna.bandwidth = result.channels[antenna.antenna_name].bandwidth;
+            }
+        }
+    }
+    return {network: networkData, channels: channels, before: result.before, after: result.after};
+}
+
+/**
+ Draws the received signal strength of the antenna coverage on the given map, coloured on a colour ramp
+ @param {number[][]} signalStrengthPoints: reachable points with their received power in dBm [[lat,long,power]], as returned by calcRadPatternWithObstacles
+ @param {L.Map} map: leaflet map
+ @param {{colorRamp: {power: number, color: string}[], discrete: boolean, radius: number, opacity: number}} [options]: options of L.GridLayer.SignalStrength,
+ e.g. the receive thresholds of the MCS levels as colorRamp with discrete: true
+ @returns {L.GridLayer.SignalStrength} layer with the signal strength
+ */
+function drawSignalStrength(signalStrengthPoints, map, options) {
+    let layerSignalStrength = L.gridLayer.signalStrength(options);
+    layerSignalStrength.setData(signalStrengthPoints);
+    map.addLayer(layerSignalStrength);
+    return layerSignalStrength;
+}
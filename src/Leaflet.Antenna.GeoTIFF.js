@@ -0,0 +1,519 @@
+/**
+ Elevation provider for GeoTIFF digital elevation models (see Leaflet.Antenna.Elevation.js), e.g. LiDAR DEMs.
+ Includes a minimal TIFF reader for single band rasters in strips or tiles, uncompressed, LZW or deflate compressed,
+ with integer or floating point samples. Works offline with files chosen by the user.
+ */
+
+//TIFF tags used by the reader
+const TIFF_TAGS = {
+    imageWidth: 256,
+    imageLength: 257,
+    bitsPerSample: 258,
+    compression: 259,
+    stripOffsets: 273,
+    samplesPerPixel: 277,
+    rowsPerStrip: 278,
+    stripByteCounts: 279,
+    planarConfiguration: 284,
+    predictor: 317,
+    tileWidth: 322,
+    tileLength: 323,
+    tileOffsets: 324,
+    tileByteCounts: 325,
+    sampleFormat: 339,
+    modelPixelScale: 33550,
+    modelTiepoint: 33922,
+    modelTransformation: 34264,
+    geoKeyDirectory: 34735,
+    gdalNoData: 42113
+};
+
+//size in bytes of the TIFF field types
+const TIFF_TYPE_SIZES = {1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8};
+
+/**
+ Reads the structure of the first image of a TIFF file
+ @param {ArrayBuffer} buffer: content of the .tif file
+ @returns {{view: DataView, littleEndian: boolean, tags: Object<number, number[]|string>}} the values of all tags of the first image by tag number
+ */
+function readTIFF(buffer) {
+    const view = new DataView(buffer);
+    const byteOrder = view.getUint16(0);
+    if (byteOrder !== 0x4949 && byteOrder !== 0x4D4D) {
+        throw new Error('Not a TIFF file');
+    }
+    const littleEndian = byteOrder === 0x4949;
+    const version = view.getUint16(2, littleEndian);
+    if (version !== 42) {
+        throw new Error('Unknown TIFF version: ' + version);
+    }
+    const ifdOffset = view.getUint32(4, littleEndian);
+    const entryCount = view.getUint16(ifdOffset, littleEndian);
+    let tags = {};
+    for (let i = 0; i < entryCount; i++) {
+        const entryOffset = ifdOffset + 2 + i * 12;
+        const tag = view.getUint16(entryOffset, littleEndian),
+            type = view.getUint16(entryOffset + 2, littleEndian),
+            count = view.getUint32(entryOffset + 4, littleEndian);
+        const size = TIFF_TYPE_SIZES[type];
+        if (!size) {
+            //unknown field types have to be skipped
+            continue;
+        }
+        //values of up to 4 bytes are stored in the entry itself
+        const valueOffset = size * count <= 4 ? entryOffset + 8 : view.getUint32(entryOffset + 8, littleEndian);
+        tags[tag] = readTIFFValues(view, littleEndian, type, count, valueOffset);
+    }
+    return {view: view, littleEndian: littleEndian, tags: tags};
+}
+
+/**
+ Reads the values of a TIFF tag
+ @param {DataView} view: content of the .tif file
+ @param {boolean} littleEndian: byte order of the file
+ @param {number} type: TIFF field type
+ @param {number} count: number of values
+ @param {number} offset: position of the first value
+ @returns {number[]|string} values, text for ASCII fields
+ */
+function readTIFFValues(view, littleEndian, type, count, offset) {
+    if (type === 2) {
+        let text = '';
+        for (let i = 0; i < count; i++) {
+            text += String.fromCharCode(view.getUint8(offset + i));
+        }
+        //remove the terminating null character
+        return text.replace(/\0+$/, '');
+    }
+    let values = [];
+    for (let i = 0; i < count; i++) {
+        const position = offset + i * TIFF_TYPE_SIZES[type];
+        switch (type) {
+            case 1:
+            case 7:
+                values.push(view.getUint8(position));
+                break;
+            case 3:
+                values.push(view.getUint16(position, littleEndian));
+                break;
+            case 4:
+                values.push(view.getUint32(position, littleEndian));
+                break;
+            case 5:
+                values.push(view.getUint32(position, littleEndian) / view.getUint32(position + 4, littleEndian));
+                break;
+            case 6:
+                values.push(view.getInt8(position));
+                break;
+            case 8:
+                values.push(view.getInt16(position, littleEndian));
+                break;
+            case 9:
+                values.push(view.getInt32(position, littleEndian));
+                break;
+            case 10:
+                values.push(view.getInt32(position, littleEndian) / view.getInt32(position + 4, littleEndian));
+                break;
+            case 11:
+                values.push(view.getFloat32(position, littleEndian));
+                break;
+            case 12:
+                values.push(view.getFloat64(position, littleEndian));
+                break;
+        }
+    }
+    return values;
+}
+
+/**
+ Decompresses TIFF LZW data
+ @param {Uint8Array} input: compressed data
+ @returns {Uint8Array} decompressed data
+ */
+function lzwDecompress(input) {
+    const clearCode = 256,
+        endOfInformation = 257;
+    let output = [];
+    let table = [];
+    let codeLength = 9;
+    let bitPosition = 0;
+    let oldCode = null;
+
+    function resetTable() {
+        table = [];
+        for (let i = 0; i < 258; i++) {
+            table.push([i]);
+        }
+        codeLength = 9;
+        oldCode = null;
+    }
+
+    resetTable();
+    while (bitPosition + codeLength <= input.length * 8) {
+        //codes are stored with the most significant bit first
+        const byteIndex = bitPosition >>> 3;
+        const chunk = (input[byteIndex] << 16) | ((input[byteIndex + 1] || 0) << 8) | (input[byteIndex + 2] || 0);
+        const code = (chunk >>> (24 - (bitPosition & 7) - codeLength)) & ((1 << codeLength) - 1);
+        bitPosition += codeLength;
+
+        if (code === endOfInformation) {
+            break;
+        }
+        if (code === clearCode) {
+            resetTable();
+            continue;
+        }
+        let entry;
+        if (code < table.length) {
+            entry = table[code];
+        } else if (code === table.length && oldCode !== null) {
+            entry = table[oldCode].concat(table[oldCode][0]);
+        } else {
+            throw new Error('Invalid LZW code: ' + code);
+        }
+        for (const byte of entry) {
+            output.push(byte);
+        }
+        if (oldCode !== null) {
+            table.push(table[oldCode].concat(entry[0]));
+        }
+        oldCode = code;
+        //the code length already increases one code before the table is full
+        if (table.length + 1 >= (1 << codeLength) && codeLength < 12) {
+            codeLength++;
+        }
+    }
+    return new Uint8Array(output);
+}
+
+/**
+ Decompresses zlib (TIFF deflate) data with the DecompressionStream of the browser
+ @param {Uint8Array} input: compressed data
+ @returns {Promise<Uint8Array>} decompressed data
+ */
+async function deflateDecompress(input) {
+    const stream = new Blob([input]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ Reverses the floating point predictor of TIFF (byte planes with horizontal differencing) for one row
+ @param {Uint8Array} row: bytes of the row, modified in place
+ @param {number} bytesPerSample: bytes per sample
+ @param {boolean} littleEndian: byte order of the file, the row is written in this order
+ */
+function undoFloatingPointPredictor(row, bytesPerSample, littleEndian) {
+    for (let i = 1; i < row.length; i++) {
+        row[i] = (row[i] + row[i - 1]) & 255;
+    }
+    const sampleCount = row.length / bytesPerSample;
+    const planes = row.slice();
+    for (let sample = 0; sample < sampleCount; sample++) {
+        for (let byte = 0; byte < bytesPerSample; byte++) {
+            //the planes start with the most significant byte
+            const targetByte = littleEndian ? bytesPerSample - 1 - byte : byte;
+            row[sample * bytesPerSample + targetByte] = planes[byte * sampleCount + sample];
+        }
+    }
+}
+
+/**
+ Reads and decodes the samples of the first band of a strip or tile of a TIFF image
+ @param {{view: DataView, littleEndian: boolean, tags: object}} tiff: TIFF file as returned by readTIFF
+ @param {number} blockIndex: index of the strip or tile
+ @returns {Promise<Float64Array>} first band of the block row by row, with the width of a tile or the image for strips
+ */
+async function readTIFFBlock(tiff, blockIndex) {
+    const tags = tiff.tags,
+        littleEndian = tiff.littleEndian;
+    const tiled = tags[TIFF_TAGS.tileOffsets] !== undefined;
+    const blockWidth = tiled ? tags[TIFF_TAGS.tileWidth][0] : tags[TIFF_TAGS.imageWidth][0];
+    const offset = (tiled ? tags[TIFF_TAGS.tileOffsets] : tags[TIFF_TAGS.stripOffsets])[blockIndex],
+        byteCount = (tiled ? tags[TIFF_TAGS.tileByteCounts] : tags[TIFF_TAGS.stripByteCounts])[blockIndex];
+    const bitsPerSample = tags[TIFF_TAGS.bitsPerSample][0],
+        bytesPerSample = bitsPerSample / 8,
+        sampleFormat = tags[TIFF_TAGS.sampleFormat] ? tags[TIFF_TAGS.sampleFormat][0] : 1,
+        compression = tags[TIFF_TAGS.compression] ? tags[TIFF_TAGS.compression][0] : 1,
+        predictor = tags[TIFF_TAGS.predictor] ? tags[TIFF_TAGS.predictor][0] : 1;
+    //with separate planes the blocks of the first band come first and hold only that band
+    const samplesPerPixel = tags[TIFF_TAGS.planarConfiguration] && tags[TIFF_TAGS.planarConfiguration][0] === 2
+        ? 1 : (tags[TIFF_TAGS.samplesPerPixel] ? tags[TIFF_TAGS.samplesPerPixel][0] : 1);
+
+    let bytes = new Uint8Array(tiff.view.buffer, offset, byteCount);
+    switch (compression) {
+        case 1:
+            bytes = bytes.slice();
+            break;
+        case 5:
+            bytes = lzwDecompress(bytes);
+            break;
+        case 8:
+        case 32946:
+            bytes = await deflateDecompress(bytes);
+            break;
+        default:
+            throw new Error('Unknown TIFF compression: ' + compression);
+    }
+
+    const rowLength = blockWidth * samplesPerPixel;
+    const rowCount = Math.floor(bytes.length / (rowLength * bytesPerSample));
+    if (predictor === 3) {
+        for (let row = 0; row < rowCount; row++) {
+            undoFloatingPointPredictor(bytes.subarray(row * rowLength * bytesPerSample, (row + 1) * rowLength * bytesPerSample), bytesPerSample, littleEndian);
+        }
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let samples = new Float64Array(rowCount * rowLength);
+    for (let i = 0; i < samples.length; i++) {
+        const position = i * bytesPerSample;
+        if (sampleFormat === 3) {
+            samples[i] = bitsPerSample === 64 ? view.getFloat64(position, littleEndian) : view.getFloat32(position, littleEndian);
+        } else if (bitsPerSample === 8) {
+            samples[i] = sampleFormat === 2 ? view.getInt8(position) : view.getUint8(position);
+        } else if (bitsPerSample === 16) {
+            samples[i] = sampleFormat === 2 ? view.getInt16(position, littleEndian) : view.getUint16(position, littleEndian);
+        } else if (bitsPerSample === 32) {
+            samples[i] = sampleFormat === 2 ? view.getInt32(position, littleEndian) : view.getUint32(position, littleEndian);
+        } else {
+            throw new Error('Unknown TIFF sample size: ' + bitsPerSample);
+        }
+    }
+    if (predictor === 2) {
+        //horizontal differencing of integer samples
+        for (let row = 0; row < rowCount; row++) {
+            for (let i = samplesPerPixel; i < rowLength; i++) {
+                samples[row * rowLength + i] += samples[row * rowLength + i - samplesPerPixel];
+            }
+        }
+        if (sampleFormat !== 3) {
+            const range = Math.pow(2, bitsPerSample);
+            for (let i = 0; i < samples.length; i++) {
+                //the sums wrap around like the integers they are stored in
+                samples[i] = sampleFormat === 2
+                    ? ((samples[i] + range / 2) % range + range) % range - range / 2
+                    : (samples[i] % range + range) % range;
+            }
+        }
+    }
+
+    if (samplesPerPixel === 1) {
+        return samples;
+    }
+    let firstBand = new Float64Array(rowCount * blockWidth);
+    for (let i = 0; i < firstBand.length; i++) {
+        firstBand[i] = samples[i * samplesPerPixel];
+    }
+    return firstBand;
+}
+
+/**
+ Reads the GeoKeys of a GeoTIFF
+ @param {object} tags: tags of the image as returned by readTIFF
+ @returns {Object<number, number>} numeric GeoKeys by key id, e.g. 1024 (model type), 1025 (raster type), 2048 (geographic type), 3072 (projected type)
+ */
+function readGeoKeys(tags) {
+    const directory = tags[TIFF_TAGS.geoKeyDirectory] || [];
+    let geoKeys = {};
+    //the header is followed by entries of key id, location, count and value
+    for (let i = 4; i + 3 < directory.length; i += 4) {
+        if (directory[i + 1] === 0) {
+            geoKeys[directory[i]] = directory[i + 3];
+        }
+    }
+    return geoKeys;
+}
+
+/**
+ Projects geographic coordinates into the universal transverse mercator projection on the WGS84 ellipsoid (also used for ETRS89 and NAD83)
+ @param {number[]} location: [lat,long] in degrees
+ @param {number} zone: UTM zone from 1 to 60
+ @param {boolean} south: true for the southern hemisphere (false northing of 10000 km)
+ @returns {number[]} easting and northing in meters [x,y]
+ */
+function projectToUTM(location, zone, south) {
+    const a = 6378137,
+        f = 1 / 298.257223563,
+        k0 = 0.9996;
+    const e2 = f * (2 - f),
+        ep2 = e2 / (1 - e2);
+    const lat = location[0] * Math.PI / 180,
+        centralMeridian = ((zone - 1) * 6 - 180 + 3) * Math.PI / 180;
+    const sinLat = Math.sin(lat),
+        cosLat = Math.cos(lat),
+        tanLat = Math.tan(lat);
+    const N = a / Math.sqrt(1 - e2 * sinLat * sinLat),
+        T = tanLat * tanLat,
+        C = ep2 * cosLat * cosLat,
+        A = cosLat * (location[1] * Math.PI / 180 - centralMeridian);
+    //meridional arc
+    const M = a * ((1 - e2 / 4 - 3 * e2 * e2 / 64 - 5 * e2 * e2 * e2 / 256) * lat
+        - (3 * e2 / 8 + 3 * e2 * e2 / 32 + 45 * e2 * e2 * e2 / 1024) * Math.sin(2 * lat)
+        + (15 * e2 * e2 / 256 + 45 * e2 * e2 * e2 / 1024) * Math.sin(4 * lat)
+        - (35 * e2 * e2 * e2 / 3072) * Math.sin(6 * lat));
+    const x = k0 * N * (A + (1 - T + C) * Math.pow(A, 3) / 6 + (5 - 18 * T + T * T + 72 * C - 58 * ep2) * Math.pow(A, 5) / 120) + 500000;
+    const y = k0 * (M + N * tanLat * (A * A / 2 + (5 - T + 9 * C + 4 * C * C) * Math.pow(A, 4) / 24
+        + (61 - 58 * T + T * T + 600 * C - 330 * ep2) * Math.pow(A, 6) / 720));
+    return [x, south ? y + 10000000 : y];
+}
+
+/**
+ Returns the projection of geographic coordinates into the given coordinate reference system
+ @param {number} epsg: EPSG code, geographic systems (e.g. 4326), 3857 or UTM zones of WGS84 (326xx, 327xx), ETRS89 (258xx) and NAD83 (269xx)
+ @param {boolean} [geographic]: true if the code is a geographic coordinate system, coordinates are then passed in degrees
+ @returns {function(number[]): number[]} projects [lat,long] to the [x,y] of the coordinate reference system
+ */
+function epsgProjection(epsg, geographic) {
+    if (geographic || epsg === 4326 || epsg === 4258 || epsg === 4269) {
+        return location => [location[1], location[0]];
+    }
+    if (epsg === 3857 || epsg === 900913) {
+        return location => [6378137 * location[1] * Math.PI / 180,
+            6378137 * Math.log(Math.tan(Math.PI / 4 + location[0] * Math.PI / 360))];
+    }
+    if (epsg > 32600 && epsg <= 32660) {
+        return location => projectToUTM(location, epsg - 32600, false);
+    }
+    if (epsg > 32700 && epsg <= 32760) {
+        return location => projectToUTM(location, epsg - 32700, true);
+    }
+    if (epsg >= 25828 && epsg <= 25838) {
+        return location => projectToUTM(location, epsg - 25800, false);
+    }
+    if (epsg >= 26901 && epsg <= 26923) {
+        return location => projectToUTM(location, epsg - 26900, false);
+    }
+    throw new Error('Unknown projection: EPSG:' + epsg);
+}
+
+/**
+ Creates an elevation provider from a GeoTIFF digital elevation model, interpolating bilinearly between the pixel centers.
+ The strips or tiles of the image are decoded when they are needed.
+ @param {ArrayBuffer|Blob|string} source: content of the .tif file, a file chosen by the user (File) or the url of the file
+ @param {{epsg: number, projection: function(number[]): number[], nodata: number, maxCachedBlocks: number}} [options]:
+ epsg: coordinate reference system of the file if its GeoKeys lack it,
+ projection: projects [lat,long] to the [x,y] of the file, for coordinate reference systems not supported by epsgProjection,
+ nodata: value of missing elevations, defaults to the GDAL_NODATA tag of the file,
+ maxCachedBlocks: number of decoded strips or tiles kept in memory, defaults to 1024
+ @returns {Promise<{getElevations: function(number[][]): Promise<number[]>}>} elevation provider, NaN outside of the model and next to missing elevations
+ */
+async function createGeoTIFFElevationProvider(source, options = {}) {
+    let buffer = source;
+    if (typeof source === 'string') {
+        buffer = await fetch(source).then(response => response.arrayBuffer());
+    } else if (typeof Blob !== 'undefined' && source instanceof Blob) {
+        buffer = await source.arrayBuffer();
+    }
+    const tiff = readTIFF(buffer);
+    const tags = tiff.tags;
+    const width = tags[TIFF_TAGS.imageWidth][0],
+        height = tags[TIFF_TAGS.imageLength][0];
+    const tiled = tags[TIFF_TAGS.tileOffsets] !== undefined;
+    const blockWidth = tiled ? tags[TIFF_TAGS.tileWidth][0] : width,
+        blockHeight = tiled ? tags[TIFF_TAGS.tileLength][0] : (tags[TIFF_TAGS.rowsPerStrip] ? Math.min(tags[TIFF_TAGS.rowsPerStrip][0], height) : height),
+        blocksAcross = Math.ceil(width / blockWidth);
+
+    //affine transformation from raster to model coordinates: x = a * column + b * row + c, y = d * column + e * row + f
+    let a, b, c, d, e, f;
+    if (tags[TIFF_TAGS.modelTransformation]) {
+        const matrix = tags[TIFF_TAGS.modelTransformation];
+        [a, b, c, d, e, f] = [matrix[0], matrix[1], matrix[3], matrix[4], matrix[5], matrix[7]];
+    } else if (tags[TIFF_TAGS.modelPixelScale] && tags[TIFF_TAGS.modelTiepoint]) {
+        const scale = tags[TIFF_TAGS.modelPixelScale],
+            tiepoint = tags[TIFF_TAGS.modelTiepoint];
+        [a, b, c] = [scale[0], 0, tiepoint[3] - tiepoint[0] * scale[0]];
+        [d, e, f] = [0, -scale[1], tiepoint[4] + tiepoint[1] * scale[1]];
+    } else {
+        throw new Error('GeoTIFF without georeference');
+    }
+    const determinant = a * e - b * d;
+
+    const geoKeys = readGeoKeys(tags);
+    let projection = options.projection;
+    if (!projection) {
+        //model type 2: geographic latitude and longitude
+        const geographic = !options.epsg && geoKeys[1024] === 2;
+        projection = epsgProjection(options.epsg || (geographic ? geoKeys[2048] : geoKeys[3072]), geographic);
+    }
+    //raster type 2: the coordinates of a pixel refer to its center instead of its upper left corner
+    const pixelOffset = geoKeys[1025] === 2 ? 0 : 0.5;
+    let nodata = options.nodata !== undefined ? options.nodata
+        : (tags[TIFF_TAGS.gdalNoData] ? parseFloat(tags[TIFF_TAGS.gdalNoData]) : undefined);
+    if (nodata !== undefined && tags[TIFF_TAGS.sampleFormat] && tags[TIFF_TAGS.sampleFormat][0] === 3 && tags[TIFF_TAGS.bitsPerSample][0] === 32) {
+        //compare with the single precision value stored in the file
+        nodata = Math.fround(nodata);
+    }
+    const maxCachedBlocks = options.maxCachedBlocks || 1024;
+
+    //promises of the decoded blocks by their index, in the order of their last use
+    const blocks = new Map();
+
+    function loadBlock(blockIndex) {
+        let block = blocks.get(blockIndex);
+        if (block) {
+            blocks.delete(blockIndex);
+        } else {
+            block = readTIFFBlock(tiff, blockIndex);
+            if (blocks.size >= maxCachedBlocks) {
+                blocks.delete(blocks.keys().next().value);
+            }
+        }
+        blocks.set(blockIndex, block);
+        return block;
+    }
+
+    function blockIndexOf(column, row) {
+        return Math.floor(row / blockHeight) * blocksAcross + Math.floor(column / blockWidth);
+    }
+
+    return {
+        getElevations: async function (locations) {
+            //neighbouring pixels and their weight of every location
+            const neighbours = locations.map(location => {
+                const [x, y] = projection(location);
+                let column = (e * (x - c) - b * (y - f)) / determinant - pixelOffset,
+                    row = (a * (y - f) - d * (x - c)) / determinant - pixelOffset;
+                //tolerance for rounding errors of the projection
+                const border = pixelOffset + 1e-6;
+                if (!(column >= -border && row >= -border && column <= width - 1 + border && row <= height - 1 + border)) {
+                    return [];
+                }
+                //the outer half of the border pixels gets their elevation
+                column = Math.min(Math.max(column, 0), width - 1);
+                row = Math.min(Math.max(row, 0), height - 1);
+                const left = Math.min(Math.floor(column), Math.max(width - 2, 0)),
+                    top = Math.min(Math.floor(row), Math.max(height - 2, 0));
+                const dx = column - left,
+                    dy = row - top;
+                return [[(1 - dx) * (1 - dy), left, top], [dx * (1 - dy), left + 1, top],
+                    [(1 - dx) * dy, left, top + 1], [dx * dy, left + 1, top + 1]]
+                    //neighbours without weight, e.g. on the border of the model, may be missing
+                    .filter(neighbour => neighbour[0] > 0);
+            });
+
+            let loadedBlocks = new Map();
+            for (const neighbour of neighbours.flat()) {
+                const blockIndex = blockIndexOf(neighbour[1], neighbour[2]);
+                if (!loadedBlocks.has(blockIndex)) {
+                    loadedBlocks.set(blockIndex, loadBlock(blockIndex));
+                }
+            }
+            for (const [blockIndex, block] of loadedBlocks) {
+                loadedBlocks.set(blockIndex, await block);
+            }
+
+            return neighbours.map(locationNeighbours => {
+                if (locationNeighbours.length === 0) {
+                    return NaN;
+                }
+                let elevation = 0;
+                for (const [weight, column, row] of locationNeighbours) {
+                    const block = loadedBlocks.get(blockIndexOf(column, row));
+                    const value = block[(row % blockHeight) * blockWidth + column % blockWidth];
+                    elevation += value === nodata ? NaN : weight * value;
+                }
+                return elevation;
+            });
+        }
+    };
+}
@@ -0,0 +1,749 @@
+/*
+ Irregular Terrain Model (ITM, Longley-Rice) in point-to-point mode.
+ Port of the public domain ITM version 1.2.2 by the Institute for Telecommunication Sciences (NTIA/ITS),
+ as also used by SPLAT! and Radio Mobile. Variable names follow the reference implementation.
+ */
+
+//default parameters, see itmPointToPoint
+const ITM_DEFAULTS = {
+    surfaceRefractivity: 301,
+    dielectricConstant: 15,
+    conductivity: 0.005,
+    radioClimate: 5,
+    polarization: 'vertical',
+    confidence: 0.5,
+    reliability: 0.5
+};
+
+//radio climate codes of the ITM
+const ITM_RADIO_CLIMATES = {
+    equatorial: 1,
+    continentalSubtropical: 2,
+    maritimeSubtropical: 3,
+    desert: 4,
+    continentalTemperate: 5,
+    maritimeTemperateOverLand: 6,
+    maritimeTemperateOverSea: 7
+};
+
+function itmDim(x, y) {
+    return x > y ? x - y : 0;
+}
+
+function itmComplexAbs(z) {
+    return Math.sqrt(z.re * z.re + z.im * z.im);
+}
+
+function itmComplexDiv(a, b) {
+    const d = b.re * b.re + b.im * b.im;
+    return {re: (a.re * b.re + a.im * b.im) / d, im: (a.im * b.re - a.re * b.im) / d};
+}
+
+function itmComplexSqrt(z) {
+    const r = itmComplexAbs(z);
+    const re = Math.sqrt((r + z.re) / 2);
+    const im = Math.sqrt((r - z.re) / 2);
+    return {re: re, im: z.im < 0 ? -im : im};
+}
+
+//attenuation of a single knife edge
+function itmAknfe(v2) {
+    return v2 < 5.76 ? 6.02 + 9.11 * Math.sqrt(v2) - 1.27 * v2 : 12.953 + 4.343 * Math.log(v2);
+}
+
+//height gain over a smooth spherical earth
+function itmFht(x, pk) {
+    let w, fhtv;
+    if (x < 200) {
+        w = -Math.log(pk);
+        if (pk < 1e-5 || x * Math.pow(w, 3) > 5495) {
+            fhtv = -117;
+            if (x > 1) {
+                fhtv = 17.372 * Math.log(x) + fhtv;
+            }
+        } else {
+            fhtv = 2.5e-5 * x * x / pk - 8.686 * w - 15;
+        }
+    } else {
+        fhtv = 0.05751 * x - 4.343 * Math.log(x);
+        if (x < 2000) {
+            w = 0.0134 * x * Math.exp(-0.005 * x);
+            fhtv = (1 - w) * fhtv + w * (17.372 * Math.log(x) - 117);
+        }
+    }
+    return fhtv;
+}
+
+//H01 function for scatter fields
+function itmH0f(r, et) {
+    const a = [25, 80, 177, 395, 705];
+    const b = [24, 45, 68, 80, 105];
+    let it = Math.trunc(et), q;
+    if (it <= 0) {
+        it = 1;
+        q = 0;
+    } else if (it >= 5) {
+        it = 5;
+        q = 0;
+    } else {
+        q = et - it;
+    }
+    const x = Math.pow(1 / r, 2);
+    let h0fv = 4.343 * Math.log((a[it - 1] * x + b[it - 1]) * x + 1);
+    if (q !== 0) {
+        h0fv = (1 - q) * h0fv + q * 4.343 * Math.log((a[it] * x + b[it]) * x + 1);
+    }
+    return h0fv;
+}
+
+//F(theta d) function for scatter fields
+function itmAhd(td) {
+    const a = [133.4, 104.6, 71.8];
+    const b = [0.332e-3, 0.212e-3, 0.157e-3];
+    const c = [-4.343, -1.086, 2.171];
+    const i = td <= 10e3 ? 0 : td <= 70e3 ? 1 : 2;
+    return a[i] + b[i] * td + c[i] * Math.log(td);
+}
+
+//diffraction attenuation, initialized with d == 0
+function itmAdiff(d, prop, propa) {
+    const s = propa.adiffState;
+    let a, q, pk, ds, th, wa, ar, wd;
+    if (d === 0) {
+        q = prop.hg[0] * prop.hg[1];
+        s.qk = prop.he[0] * prop.he[1] - q;
+        if (prop.mdp < 0) {
+            q += 10;
+        }
+        s.wd1 = Math.sqrt(1 + s.qk / q);
+        s.xd1 = propa.dla + propa.tha / prop.gme;
+        q = (1 - 0.8 * Math.exp(-propa.dlsa / 50e3)) * prop.dh;
+        q *= 0.78 * Math.exp(-Math.pow(q / 16, 0.25));
+        s.afo = Math.min(15, 2.171 * Math.log(1 + 4.77e-4 * prop.hg[0] * prop.hg[1] * prop.wn * q));
+        s.qk = 1 / itmComplexAbs(prop.zgnd);
+        s.aht = 20;
+        s.xht = 0;
+        for (let j = 0; j < 2; j++) {
+            a = 0.5 * Math.pow(prop.dl[j], 2) / prop.he[j];
+            wa = Math.cbrt(a * prop.wn);
+            pk = s.qk / wa;
+            q = (1.607 - pk) * 151 * wa * prop.dl[j] / a;
+            s.xht += q;
+            s.aht += itmFht(q, pk);
+        }
+        return 0;
+    }
+    th = propa.tha + d * prop.gme;
+    ds = d - propa.dla;
+    q = 0.0795775 * prop.wn * ds * Math.pow(th, 2);
+    let adiffv = itmAknfe(q * prop.dl[0] / (ds + prop.dl[0])) + itmAknfe(q * prop.dl[1] / (ds + prop.dl[1]));
+    a = ds / th;
+    wa = Math.cbrt(a * prop.wn);
+    pk = s.qk / wa;
+    q = (1.607 - pk) * 151 * wa * th + s.xht;
+    ar = 0.05751 * q - 4.343 * Math.log(q) - s.aht;
+    q = (s.wd1 + s.xd1 / d) * Math.min((1 - 0.8 * Math.exp(-d / 50e3)) * prop.dh * prop.wn, 6283.2);
+    wd = 25.1 / (25.1 + Math.sqrt(q));
+    return ar * wd + (1 - wd) * adiffv + s.afo;
+}
+
+//troposcatter attenuation, initialized with d == 0
+function itmAscat(d, prop, propa) {
+    const s = propa.ascatState;
+    let h0, r1, r2, z0, ss, et, ett, th, q;
+    if (d === 0) {
+        s.ad = prop.dl[0] - prop.dl[1];
+        s.rr = prop.he[1] / prop.he[0];
+        if (s.ad < 0) {
+            s.ad = -s.ad;
+            s.rr = 1 / s.rr;
+        }
+        s.etq = (5.67e-6 * prop.ens - 2.32e-3) * prop.ens + 0.031;
+        s.h0s = -15;
+        return 0;
+    }
+    if (s.h0s > 15) {
+        h0 = s.h0s;
+    } else {
+        th = prop.the[0] + prop.the[1] + d * prop.gme;
+        r2 = 2 * prop.wn * th;
+        r1 = r2 * prop.he[0];
+        r2 *= prop.he[1];
+        if (r1 < 0.2 && r2 < 0.2) {
+            return 1001;
+        }
+        ss = (d - s.ad) / (d + s.ad);
+        q = s.rr / ss;
+        ss = Math.max(0.1, ss);
+        q = Math.min(Math.max(0.1, q), 10);
+        z0 = (d - s.ad) * (d + s.ad) * th * 0.25 / d;
+        et = (s.etq * Math.exp(-Math.pow(Math.min(1.7, z0 / 8e3), 6)) + 1) * z0 / 1.7556e3;
+        ett = Math.max(et, 1);
+        h0 = (itmH0f(r1, ett) + itmH0f(r2, ett)) * 0.5;
+        h0 += Math.min(h0, (1.38 - Math.log(ett)) * Math.log(ss) * Math.log(q) * 0.49);
+        h0 = itmDim(h0, 0);
+        if (et < 1) {
+            h0 = et * h0 + (1 - et) * 4.343 * Math.log(Math.pow((1 + 1.4142 / r1) * (1 + 1.4142 / r2), 2) * (r1 + r2) / (r1 + r2 + 2.8284));
+        }
+        if (h0 > 15 && s.h0s >= 0) {
+            h0 = s.h0s;
+        }
+    }
+    s.h0s = h0;
+    th = propa.tha + d * prop.gme;
+    return itmAhd(th * d) + 4.343 * Math.log(47.7 * prop.wn * Math.pow(th, 4)) - 0.1 * (prop.ens - 301) * Math.exp(-th * d / 40e3) + h0;
+}
+
+//inverse of the complementary normal distribution
+function itmQerfi(q) {
+    const c0 = 2.515516698, c1 = 0.802853, c2 = 0.010328,
+        d1 = 1.432788, d2 = 0.189269, d3 = 0.001308;
+    const x = 0.5 - q;
+    let t = Math.max(0.5 - Math.abs(x), 0.000001);
+    t = Math.sqrt(-2 * Math.log(t));
+    const v = t - ((c2 * t + c1) * t + c0) / (((d3 * t + d2) * t + d1) * t + 1);
+    return x < 0 ? -v : v;
+}
+
+//preparatory subroutine for frequency, refractivity and ground constants
+function itmQlrps(fmhz, zsys, en0, ipol, eps, sgm, prop) {
+    const gma = 157e-9;
+    prop.wn = fmhz / 47.7;
+    prop.ens = en0;
+    if (zsys !== 0) {
+        prop.ens *= Math.exp(-zsys / 9460);
+    }
+    prop.gme = gma * (1 - 0.04665 * Math.exp(prop.ens / 179.3));
+    const zq = {re: eps, im: 376.62 * sgm / prop.wn};
+    prop.zgnd = itmComplexSqrt({re: zq.re - 1, im: zq.im});
+    if (ipol !== 0) {
+        prop.zgnd = itmComplexDiv(prop.zgnd, zq);
+    }
+}
+
+//line of sight attenuation, initialized with d == 0
+function itmAlos(d, prop, propa) {
+    const s = propa.alosState;
+    if (d === 0) {
+        s.wls = 0.021 / (0.021 + prop.wn * prop.dh / Math.max(10e3, propa.dlsa));
+        return 0;
+    }
+    let q = (1 - 0.8 * Math.exp(-d / 50e3)) * prop.dh;
+    const sigma = 0.78 * q * Math.exp(-Math.pow(q / 16, 0.25));
+    q = prop.he[0] + prop.he[1];
+    const sps = q / Math.sqrt(d * d + q * q);
+    let r = itmComplexDiv({re: sps - prop.zgnd.re, im: -prop.zgnd.im}, {re: sps + prop.zgnd.re, im: prop.zgnd.im});
+    const damping = Math.exp(-Math.min(10, prop.wn * sigma * sps));
+    r = {re: r.re * damping, im: r.im * damping};
+    q = r.re * r.re + r.im * r.im;
+    if (q < 0.25 || q < sps) {
+        const scale = Math.sqrt(sps / q);
+        r = {re: r.re * scale, im: r.im * scale};
+    }
+    let alosv = propa.emd * d + propa.aed;
+    q = prop.wn * prop.he[0] * prop.he[1] * 2 / d;
+    if (q > 1.57) {
+        q = 3.14 - 2.4649 / q;
+    }
+    const re = Math.cos(q) + r.re, im = -Math.sin(q) + r.im;
+    return (-4.343 * Math.log(re * re + im * im) - alosv) * s.wls + alosv;
+}
+
+//reference attenuation
+function itmLrprop(d, prop, propa) {
+    const s = propa.lrpropState;
+    let a0, a1, a2, a3, a4, a5, a6, d0, d1, d2, d3, d4, d5, d6, q;
+
+    if (prop.mdp !== 0) {
+        for (let j = 0; j < 2; j++) {
+            propa.dls[j] = Math.sqrt(2 * prop.he[j] / prop.gme);
+        }
+        propa.dlsa = propa.dls[0] + propa.dls[1];
+        propa.dla = prop.dl[0] + prop.dl[1];
+        propa.tha = Math.max(prop.the[0] + prop.the[1], -propa.dla * prop.gme);
+        s.wlos = false;
+        s.wscat = false;
+        if (prop.wn < 0.838 || prop.wn > 210) {
+            prop.kwx = Math.max(prop.kwx, 1);
+        }
+        for (let j = 0; j < 2; j++) {
+            if (prop.hg[j] < 1 || prop.hg[j] > 1000) {
+                prop.kwx = Math.max(prop.kwx, 1);
+            }
+        }
+        for (let j = 0; j < 2; j++) {
+            if (Math.abs(prop.the[j]) > 200e-3 || prop.dl[j] < 0.1 * propa.dls[j] || prop.dl[j] > 3 * propa.dls[j]) {
+                prop.kwx = Math.max(prop.kwx, 3);
+            }
+        }
+        if (prop.ens < 250 || prop.ens > 400 || prop.gme < 75e-9 || prop.gme > 250e-9 || prop.zgnd.re <= Math.abs(prop.zgnd.im)
+            || prop.wn < 0.419 || prop.wn > 420) {
+            prop.kwx = 4;
+        }
+        for (let j = 0; j < 2; j++) {
+            if (prop.hg[j] < 0.5 || prop.hg[j] > 3000) {
+                prop.kwx = 4;
+            }
+        }
+        s.dmin = Math.abs(prop.he[0] - prop.he[1]) / 200e-3;
+        itmAdiff(0, prop, propa);
+        s.xae = Math.pow(prop.wn * Math.pow(prop.gme, 2), -1 / 3);
+        d3 = Math.max(propa.dlsa, 1.3787 * s.xae + propa.dla);
+        d4 = d3 + 2.7574 * s.xae;
+        a3 = itmAdiff(d3, prop, propa);
+        a4 = itmAdiff(d4, prop, propa);
+        propa.emd = (a4 - a3) / (d4 - d3);
+        propa.aed = a3 - propa.emd * d3;
+    }
+    if (prop.mdp >= 0) {
+        prop.mdp = 0;
+        prop.dist = d;
+    }
+    if (prop.dist > 0) {
+        if (prop.dist > 1000e3) {
+            prop.kwx = Math.max(prop.kwx, 1);
+        }
+        if (prop.dist < s.dmin) {
+            prop.kwx = Math.max(prop.kwx, 3);
+        }
+        if (prop.dist < 1e3 || prop.dist > 2000e3) {
+            prop.kwx = 4;
+        }
+    }
+    if (prop.dist < propa.dlsa) {
+        if (!s.wlos) {
+            itmAlos(0, prop, propa);
+            d2 = propa.dlsa;
+            a2 = propa.aed + d2 * propa.emd;
+            d0 = 1.908 * prop.wn * prop.he[0] * prop.he[1];
+            if (propa.aed >= 0) {
+                d0 = Math.min(d0, 0.5 * propa.dla);
+                d1 = d0 + 0.25 * (propa.dla - d0);
+            } else {
+                d1 = Math.max(-propa.aed / propa.emd, 0.25 * propa.dla);
+            }
+            a1 = itmAlos(d1, prop, propa);
+            let wq = false;
+            if (d0 < d1) {
+                a0 = itmAlos(d0, prop, propa);
+                q = Math.log(d2 / d0);
+                propa.ak2 = Math.max(0, ((d2 - d0) * (a1 - a0) - (d1 - d0) * (a2 - a0)) / ((d2 - d0) * Math.log(d1 / d0) - (d1 - d0) * q));
+                wq = propa.aed >= 0 || propa.ak2 > 0;
+                if (wq) {
+                    propa.ak1 = (a2 - a0 - propa.ak2 * q) / (d2 - d0);
+                    if (propa.ak1 < 0) {
+                        propa.ak1 = 0;
+                        propa.ak2 = itmDim(a2, a0) / q;
+                        if (propa.ak2 === 0) {
+                            propa.ak1 = propa.emd;
+                        }
+                    }
+                }
+            }
+            if (!wq) {
+                propa.ak1 = itmDim(a2, a1) / (d2 - d1);
+                propa.ak2 = 0;
+                if (propa.ak1 === 0) {
+                    propa.ak1 = propa.emd;
+                }
+            }
+            propa.ael = a2 - propa.ak1 * d2 - propa.ak2 * Math.log(d2);
+            s.wlos = true;
+        }
+        if (prop.dist > 0) {
+            prop.aref = propa.ael + propa.ak1 * prop.dist + propa.ak2 * Math.log(prop.dist);
+        }
+    }
+    if (prop.dist <= 0 || prop.dist >= propa.dlsa) {
+        if (!s.wscat) {
+            itmAscat(0, prop, propa);
+            d5 = propa.dla + 200e3;
+            d6 = d5 + 200e3;
+            a6 = itmAscat(d6, prop, propa);
+            a5 = itmAscat(d5, prop, propa);
+            if (a5 < 1000) {
+                propa.ems = (a6 - a5) / 200e3;
+                propa.dx = Math.max(propa.dlsa, Math.max(propa.dla + 0.3 * s.xae * Math.log(47.7 * prop.wn),
+                    (a5 - propa.aed - propa.ems * d5) / (propa.emd - propa.ems)));
+                propa.aes = (propa.emd - propa.ems) * propa.dx + propa.aed;
+            } else {
+                propa.ems = propa.emd;
+                propa.aes = propa.aed;
+                propa.dx = 10e6;
+            }
+            s.wscat = true;
+        }
+        if (prop.dist > propa.dx) {
+            prop.aref = propa.aes + propa.ems * prop.dist;
+        } else {
+            prop.aref = propa.aed + propa.emd * prop.dist;
+        }
+    }
+    prop.aref = Math.max(prop.aref, 0);
+}
+
+function itmCurve(c1, c2, x1, x2, x3, de) {
+    return (c1 + c2 / (1 + Math.pow((de - x2) / x3, 2))) * Math.pow(de / x1, 2) / (1 + Math.pow(de / x1, 2));
+}
+
+//variability of the attenuation for the given time, location and confidence quantiles
+function itmAvar(zzt, zzl, zzc, prop, propv) {
+    const bv1 = [-9.67, -0.62, 1.26, -9.21, -0.62, -0.39, 3.15];
+    const bv2 = [12.7, 9.19, 15.5, 9.05, 9.19, 2.86, 857.9];
+    const xv1 = [144.9e3, 228.9e3, 262.6e3, 84.1e3, 228.9e3, 141.7e3, 2222e3];
+    const xv2 = [190.3e3, 205.2e3, 185.2e3, 101.1e3, 205.2e3, 315.9e3, 164.8e3];
+    const xv3 = [133.8e3, 143.6e3, 99.8e3, 98.6e3, 143.6e3, 167.4e3, 116.3e3];
+    const bsm1 = [2.13, 2.66, 6.11, 1.98, 2.68, 6.86, 8.51];
+    const bsm2 = [159.5, 7.67, 6.65, 13.11, 7.16, 10.38, 169.8];
+    const xsm1 = [762.2e3, 100.4e3, 138.2e3, 139.1e3, 93.7e3, 187.8e3, 609.8e3];
+    const xsm2 = [123.6e3, 172.5e3, 242.2e3, 132.7e3, 186.8e3, 169.6e3, 119.9e3];
+    const xsm3 = [94.5e3, 136.4e3, 178.6e3, 193.5e3, 133.5e3, 108.9e3, 106.6e3];
+    const bsp1 = [2.11, 6.87, 10.08, 3.68, 4.75, 8.58, 8.43];
+    const bsp2 = [102.3, 15.53, 9.60, 159.3, 8.12, 13.97, 8.19];
+    const xsp1 = [636.9e3, 138.7e3, 165.3e3, 464.4e3, 93.2e3, 216.0e3, 136.2e3];
+    const xsp2 = [134.8e3, 143.7e3, 225.7e3, 93.1e3, 135.9e3, 152.0e3, 188.5e3];
+    const xsp3 = [95.6e3, 98.6e3, 129.7e3, 94.2e3, 113.4e3, 122.7e3, 122.9e3];
+    const bsd1 = [1.224, 0.801, 1.380, 1.000, 1.224, 1.518, 1.518];
+    const bzd1 = [1.282, 2.161, 1.282, 20, 1.282, 1.282, 1.282];
+    const bfm1 = [1.0, 1.0, 1.0, 1.0, 0.92, 1.0, 1.0];
+    const bfm2 = [0.0, 0.0, 0.0, 0.0, 0.25, 0.0, 0.0];
+    const bfm3 = [0.0, 0.0, 0.0, 0.0, 1.77, 0.0, 0.0];
+    const bfp1 = [1.0, 0.93, 1.0, 0.93, 0.93, 1.0, 1.0];
+    const bfp2 = [0.0, 0.31, 0.0, 0.19, 0.31, 0.0, 0.0];
+    const bfp3 = [0.0, 2.00, 0.0, 1.79, 2.00, 0.0, 0.0];
+    const rt = 7.8, rl = 24;
+    const s = propv.avarState;
+    let q, zt, zl, zc, sgt, yr;
+
+    if (propv.lvar > 0) {
+        //the cases fall through on purpose, lvar says from which step on the constants have to be recomputed
+        switch (propv.lvar) {
+            default: {
+                let klim = propv.klim - 1;
+                if (propv.klim <= 0 || propv.klim > 7) {
+                    propv.klim = 5;
+                    klim = 4;
+                    prop.kwx = Math.max(prop.kwx, 2);
+                }
+                s.cv1 = bv1[klim];
+                s.cv2 = bv2[klim];
+                s.yv1 = xv1[klim];
+                s.yv2 = xv2[klim];
+                s.yv3 = xv3[klim];
+                s.csm1 = bsm1[klim];
+                s.csm2 = bsm2[klim];
+                s.ysm1 = xsm1[klim];
+                s.ysm2 = xsm2[klim];
+                s.ysm3 = xsm3[klim];
+                s.csp1 = bsp1[klim];
+                s.csp2 = bsp2[klim];
+                s.ysp1 = xsp1[klim];
+                s.ysp2 = xsp2[klim];
+                s.ysp3 = xsp3[klim];
+                s.csd1 = bsd1[klim];
+                s.zd = bzd1[klim];
+                s.cfm1 = bfm1[klim];
+                s.cfm2 = bfm2[klim];
+                s.cfm3 = bfm3[klim];
+                s.cfp1 = bfp1[klim];
+                s.cfp2 = bfp2[klim];
+                s.cfp3 = bfp3[klim];
+            }
+            // falls through
+            case 4:
+                s.kdv = propv.mdvar;
+                s.ws = s.kdv >= 20;
+                if (s.ws) {
+                    s.kdv -= 20;
+                }
+                s.w1 = s.kdv >= 10;
+                if (s.w1) {
+                    s.kdv -= 10;
+                }
+                if (s.kdv < 0 || s.kdv > 3) {
+                    s.kdv = 0;
+                    prop.kwx = Math.max(prop.kwx, 2);
+                }
+            // falls through
+            case 3:
+                q = Math.log(0.133 * prop.wn);
+                s.gm = s.cfm1 + s.cfm2 / (Math.pow(s.cfm3 * q, 2) + 1);
+                s.gp = s.cfp1 + s.cfp2 / (Math.pow(s.cfp3 * q, 2) + 1);
+            // falls through
+            case 2:
+                s.dexa = Math.sqrt(18e6 * prop.he[0]) + Math.sqrt(18e6 * prop.he[1]) + Math.cbrt(575.7e12 / prop.wn);
+            // falls through
+            case 1:
+                s.de = prop.dist < s.dexa ? 130e3 * prop.dist / s.dexa : 130e3 + prop.dist - s.dexa;
+        }
+        s.vmd = itmCurve(s.cv1, s.cv2, s.yv1, s.yv2, s.yv3, s.de);
+        s.sgtm = itmCurve(s.csm1, s.csm2, s.ysm1, s.ysm2, s.ysm3, s.de) * s.gm;
+        s.sgtp = itmCurve(s.csp1, s.csp2, s.ysp1, s.ysp2, s.ysp3, s.de) * s.gp;
+        s.sgtd = s.sgtp * s.csd1;
+        s.tgtd = (s.sgtp - s.sgtd) * s.zd;
+        if (s.w1) {
+            s.sgl = 0;
+        } else {
+            q = (1 - 0.8 * Math.exp(-prop.dist / 50e3)) * prop.dh * prop.wn;
+            s.sgl = 10 * q / (q + 13);
+        }
+        s.vs0 = s.ws ? 0 : Math.pow(5 + 3 * Math.exp(-s.de / 100e3), 2);
+        propv.lvar = 0;
+    }
+    zt = zzt;
+    zl = zzl;
+    zc = zzc;
+    switch (s.kdv) {
+        case 0:
+            zt = zc;
+            zl = zc;
+            break;
+        case 1:
+            zl = zc;
+            break;
+        case 2:
+            zl = zt;
+    }
+    if (Math.abs(zt) > 3.1 || Math.abs(zl) > 3.1 || Math.abs(zc) > 3.1) {
+        prop.kwx = Math.max(prop.kwx, 1);
+    }
+    if (zt < 0) {
+        sgt = s.sgtm;
+    } else if (zt <= s.zd) {
+        sgt = s.sgtp;
+    } else {
+        sgt = s.sgtd + s.tgtd / zt;
+    }
+    const vs = s.vs0 + Math.pow(sgt * zt, 2) / (rt + zc * zc) + Math.pow(s.sgl * zl, 2) / (rl + zc * zc);
+    if (s.kdv === 0) {
+        yr = 0;
+        propv.sgc = Math.sqrt(sgt * sgt + s.sgl * s.sgl + vs);
+    } else if (s.kdv === 1) {
+        yr = sgt * zt;
+        propv.sgc = Math.sqrt(s.sgl * s.sgl + vs);
+    } else if (s.kdv === 2) {
+        yr = Math.sqrt(sgt * sgt + s.sgl * s.sgl) * zt;
+        propv.sgc = Math.sqrt(vs);
+    } else {
+        yr = sgt * zt + s.sgl * zl;
+        propv.sgc = Math.sqrt(vs);
+    }
+    let avarv = prop.aref - s.vmd - yr - propv.sgc * zc;
+    if (avarv < 0) {
+        avarv = avarv * (29 - avarv) / (29 - 10 * avarv);
+    }
+    return avarv;
+}
+
+//horizon angles and distances of both antennas
+function itmHzns(pfl, prop) {
+    const np = Math.trunc(pfl[0]);
+    const xi = pfl[1];
+    const za = pfl[2] + prop.hg[0];
+    const zb = pfl[np + 2] + prop.hg[1];
+    const qc = 0.5 * prop.gme;
+    let q = qc * prop.dist;
+    prop.the[1] = (zb - za) / prop.dist;
+    prop.the[0] = prop.the[1] - q;
+    prop.the[1] = -prop.the[1] - q;
+    prop.dl[0] = prop.dist;
+    prop.dl[1] = prop.dist;
+    if (np >= 2) {
+        let sa = 0, sb = prop.dist, wq = true;
+        for (let i = 1; i < np; i++) {
+            sa += xi;
+            sb -= xi;
+            q = pfl[i + 2] - (qc * sa + prop.the[0]) * sa - za;
+            if (q > 0) {
+                prop.the[0] += q / sa;
+                prop.dl[0] = sa;
+                wq = false;
+            }
+            if (!wq) {
+                q = pfl[i + 2] - (qc * sb + prop.the[1]) * sb - zb;
+                if (q > 0) {
+                    prop.the[1] += q / sb;
+                    prop.dl[1] = sb;
+                }
+            }
+        }
+    }
+}
+
+//least squares fit of a line to the profile between x1 and x2, returns the heights at both ends of the profile
+function itmZlsq1(z, x1, x2) {
+    const xn = z[0];
+    let xa = Math.trunc(itmDim(x1 / z[1], 0));
+    let xb = xn - Math.trunc(itmDim(xn, x2 / z[1]));
+    if (xb <= xa) {
+        xa = itmDim(xa, 1);
+        xb = xn - itmDim(xn, xb + 1);
+    }
+    let ja = Math.trunc(xa);
+    const jb = Math.trunc(xb);
+    const n = jb - ja;
+    xa = xb - xa;
+    let x = -0.5 * xa;
+    xb += x;
+    let a = 0.5 * (z[ja + 2] + z[jb + 2]);
+    let b = 0.5 * (z[ja + 2] - z[jb + 2]) * x;
+    for (let i = 2; i <= n; i++) {
+        ja++;
+        x += 1;
+        a += z[ja + 2];
+        b += z[ja + 2] * x;
+    }
+    a /= xa;
+    b = b * 12 / ((xa * xa + 2) * xa);
+    return [a - b * xb, a + b * (xn - xb)];
+}
+
+//value of the sorted (descending) array at the given index
+function itmQtile(values, index) {
+    const sorted = values.slice().sort((a, b) => b - a);
+    return sorted[Math.min(Math.max(0, index), sorted.length - 1)];
+}
+
+//terrain irregularity parameter delta h between x1 and x2
+function itmD1thx(pfl, x1, x2) {
+    const np = Math.trunc(pfl[0]);
+    let xa = x1 / pfl[1];
+    let xb = x2 / pfl[1];
+    if (xb - xa < 2) {
+        return 0;
+    }
+    let ka = Math.trunc(0.1 * (xb - xa + 8));
+    ka = Math.min(Math.max(4, ka), 25);
+    const n = 10 * ka - 5;
+    const kb = n - ka + 1;
+    const sn = n - 1;
+    let s = new Array(n + 2);
+    s[0] = sn;
+    s[1] = 1;
+    xb = (xb - xa) / sn;
+    let k = Math.trunc(xa + 1);
+    xa -= k;
+    for (let j = 0; j < n; j++) {
+        while (xa > 0 && k < np) {
+            xa -= 1;
+            k++;
+        }
+        s[j + 2] = pfl[k + 2] + (pfl[k + 2] - pfl[k + 1]) * xa;
+        xa += xb;
+    }
+    [xa, xb] = itmZlsq1(s, 0, sn);
+    xb = (xb - xa) / sn;
+    for (let j = 0; j < n; j++) {
+        s[j + 2] -= xa;
+        xa += xb;
+    }
+    const heights = s.slice(2);
+    return (itmQtile(heights, ka - 1) - itmQtile(heights, kb - 1)) / (1 - 0.8 * Math.exp(-(x2 - x1) / 50e3));
+}
+
+//preparatory subroutine for the point-to-point mode
+function itmQlrpfl(pfl, klimx, mdvarx, prop, propa, propv) {
+    let xl = [], q, za, zb;
+    prop.dist = pfl[0] * pfl[1];
+    const np = Math.trunc(pfl[0]);
+    itmHzns(pfl, prop);
+    for (let j = 0; j < 2; j++) {
+        xl[j] = Math.min(15 * prop.hg[j], 0.1 * prop.dl[j]);
+    }
+    xl[1] = prop.dist - xl[1];
+    prop.dh = itmD1thx(pfl, xl[0], xl[1]);
+    if (prop.dl[0] + prop.dl[1] > 1.5 * prop.dist) {
+        [za, zb] = itmZlsq1(pfl, xl[0], xl[1]);
+        prop.he[0] = prop.hg[0] + itmDim(pfl[2], za);
+        prop.he[1] = prop.hg[1] + itmDim(pfl[np + 2], zb);
+        for (let j = 0; j < 2; j++) {
+            prop.dl[j] = Math.sqrt(2 * prop.he[j] / prop.gme) * Math.exp(-0.07 * Math.sqrt(prop.dh / Math.max(prop.he[j], 5)));
+        }
+        q = prop.dl[0] + prop.dl[1];
+        if (q <= prop.dist) {
+            q = Math.pow(prop.dist / q, 2);
+            for (let j = 0; j < 2; j++) {
+                prop.he[j] *= q;
+                prop.dl[j] = Math.sqrt(2 * prop.he[j] / prop.gme) * Math.exp(-0.07 * Math.sqrt(prop.dh / Math.max(prop.he[j], 5)));
+            }
+        }
+        for (let j = 0; j < 2; j++) {
+            q = Math.sqrt(2 * prop.he[j] / prop.gme);
+            prop.the[j] = (0.65 * prop.dh * (q / prop.dl[j] - 1) - 2 * prop.he[j]) / q;
+        }
+    } else {
+        za = itmZlsq1(pfl, xl[0], 0.9 * prop.dl[0])[0];
+        zb = itmZlsq1(pfl, prop.dist - 0.9 * prop.dl[1], xl[1])[1];
+        prop.he[0] = prop.hg[0] + itmDim(pfl[2], za);
+        prop.he[1] = prop.hg[1] + itmDim(pfl[np + 2], zb);
+    }
+    prop.mdp = -1;
+    propv.lvar = Math.max(propv.lvar, 3);
+    if (mdvarx >= 0) {
+        propv.mdvar = mdvarx;
+        propv.lvar = Math.max(propv.lvar, 4);
+    }
+    if (klimx > 0) {
+        propv.klim = klimx;
+        propv.lvar = 5;
+    }
+    itmLrprop(0, prop, propa);
+}
+
+/**
+ Calculates the path loss between two antennas over the given terrain with the Irregular Terrain Model (Longley-Rice) in point-to-point mode.
+ @param {number[]} elevations: terrain elevation in meters at equally spaced points, from the transmitting to the receiving antenna
+ @param {number} stepSize: distance between two elevation points in meters
+ @param {number} heightTXAntenna: install height of the transmitting antenna above ground in meters
+ @param {number} heightRXAntenna: install height of the receiving antenna above ground in meters
+ @param {number} frequency: frequency both antennas operate on in GHz
+ @param {{surfaceRefractivity: number, dielectricConstant: number, conductivity: number, radioClimate: number|string, polarization: string, confidence: number, reliability: number}} [itmParameters]:
+ surfaceRefractivity in N-units (301), relative ground permittivity (15), ground conductivity in S/m (0.005),
+ radioClimate as code 1-7 or key of ITM_RADIO_CLIMATES (5, continental temperate), polarization 'vertical' or 'horizontal',
+ confidence and reliability as fractions between 0.01 and 0.99 (0.5)
+ @returns {{loss: number, freeSpaceLoss: number, mode: string, errorCode: number}} loss: basic transmission loss in dB without antenna gains,
+ errorCode: 0 if all parameters are within the valid range of the model, 1-3 for warnings, 4 if the result is unusable
+ */
+function itmPointToPoint(elevations, stepSize, heightTXAntenna, heightRXAntenna, frequency, itmParameters = {}) {
+    const parameters = Object.assign({}, ITM_DEFAULTS, itmParameters);
+    const radioClimate = ITM_RADIO_CLIMATES[parameters.radioClimate] || parameters.radioClimate;
+    const frequencyMHz = frequency * 1000;
+
+    let prop = {hg: [heightTXAntenna, heightRXAntenna], he: [0, 0], dl: [0, 0], the: [0, 0], kwx: 0, mdp: -1, aref: 0};
+    let propa = {dls: [0, 0], adiffState: {}, ascatState: {}, alosState: {}, lrpropState: {}};
+    let propv = {klim: radioClimate, lvar: 5, mdvar: 12, avarState: {}};
+
+    //profile in the format of the reference implementation: number of intervals, interval length, elevations
+    const np = elevations.length - 1;
+    const pfl = [np, stepSize].concat(elevations);
+
+    //mean elevation of the middle part of the profile for the refractivity
+    const ja = Math.trunc(3 + 0.1 * np);
+    const jb = np - ja + 6;
+    let zsys = 0;
+    for (let i = ja - 1; i < jb; i++) {
+        zsys += pfl[i];
+    }
+    zsys /= (jb - ja + 1);
+
+    itmQlrps(frequencyMHz, zsys, parameters.surfaceRefractivity, parameters.polarization === 'horizontal' ? 0 : 1,
+        parameters.dielectricConstant, parameters.conductivity, prop);
+    itmQlrpfl(pfl, propv.klim, propv.mdvar, prop, propa, propv);
+
+    const freeSpaceLoss = 32.45 + 20 * Math.log10(frequencyMHz) + 20 * Math.log10(prop.dist / 1000);
+    const horizonDistance = prop.dist - propa.dla;
+    let mode;
+    if (Math.trunc(horizonDistance) < 0) {
+        mode = 'Line-Of-Sight Mode';
+    } else {
+        mode = Math.trunc(horizonDistance) === 0 ? 'Single Horizon' : 'Double Horizon';
+        mode += prop.dist <= propa.dlsa || prop.dist <= propa.dx ? ', Diffraction Dominant' : ', Troposcatter Dominant';
+    }
+    const loss = itmAvar(itmQerfi(parameters.reliability), 0, itmQerfi(parameters.confidence), prop, propv) + freeSpaceLoss;
+    return {loss: loss, freeSpaceLoss: freeSpaceLoss, mode: mode, errorCode: prop.kwx};
+}
+
+registerPropagationModel('itm', path => {
+    const stepSize = path.distance / (path.profile.length - 1);
+    return itmPointToPoint(path.profile.map(element => element.height), stepSize, path.heightTXAntenna, path.heightRXAntenna, path.frequency, path.parameters).loss;
+}, {terrainAware: true});
@@ -0,0 +1,219 @@
+/**
+ Elevation provider for SRTM tiles (see Leaflet.Antenna.Elevation.js), reads SRTM1 and SRTM3 .hgt files and zipped .hgt.zip files,
+ e.g. from a folder of downloaded tiles chosen by the user to plan links without a network connection.
+ */
+
+//elevation of missing measurements in .hgt files
+const HGT_VOID = -32768;
+
+/**
+ Returns the name of the SRTM tile containing the given location
+ @param {number[]} location: [lat,long], e.g. [51.33849, 12.40729]
+ @returns {string} name of the tile named after its south-west corner, e.g. 'N51E012'
+ */
+function hgtTileName(location) {
+    const lat = Math.floor(location[0]),
+        lng = Math.floor(location[1]);
+    return (lat < 0 ? 'S' : 'N') + String(Math.abs(lat)).padStart(2, '0')
+        + (lng < 0 ? 'W' : 'E') + String(Math.abs(lng)).padStart(3, '0');
+}
+
+/**
+ Parses the elevations of a .hgt file
+ @param {ArrayBuffer} buffer: content of the .hgt file
+ @returns {{size: number, elevations: Int16Array}} number of rows and columns (3601 for SRTM1, 1201 for SRTM3)
+ and the elevations in meters row by row starting at the north-west corner, HGT_VOID for missing measurements
+ */
+function parseHgtTile(buffer) {
+    const size = Math.sqrt(buffer.byteLength / 2);
+    if (size !== 3601 && size !== 1201) {
+        throw new Error('Unknown .hgt size: ' + buffer.byteLength);
+    }
+    const view = new DataView(buffer);
+    let elevations = new Int16Array(size * size);
+    for (let i = 0; i < elevations.length; i++) {
+        //big-endian signed integers
+        elevations[i] = view.getInt16(i * 2);
+    }
+    return {size: size, elevations: elevations};
+}
+
+/**
+ Extracts the .hgt file of a zipped .hgt.zip file
+ @param {ArrayBuffer} buffer: content of the .zip file
+ @returns {Promise<ArrayBuffer>} content of the first .hgt file in the archive
+ */
+async function unzipHgt(buffer) {
+    const view = new DataView(buffer);
+    //the end of central directory record is followed by a comment of up to 65535 bytes
+    let endOfDirectory = -1;
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 65535); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) {
+            endOfDirectory = i;
+            break;
+        }
+    }
+    if (endOfDirectory < 0) {
+        throw new Error('Not a zip file');
+    }
+    const entryCount = view.getUint16(endOfDirectory + 10, true);
+    let entryOffset = view.getUint32(endOfDirectory + 16, true);
+    for (let i = 0; i < entryCount; i++) {
+        const method = view.getUint16(entryOffset + 10, true),
+            compressedSize = view.getUint32(entryOffset + 20, true),
+            nameLength = view.getUint16(entryOffset + 28, true),
+            extraLength = view.getUint16(entryOffset + 30, true),
+            commentLength = view.getUint16(entryOffset + 32, true),
+            localHeaderOffset = view.getUint32(entryOffset + 42, true);
+        const name = new TextDecoder().decode(new Uint8Array(buffer, entryOffset + 46, nameLength));
+        if (/\.hgt$/i.test(name)) {
+            const dataOffset = localHeaderOffset + 30 + view.getUint16(localHeaderOffset + 26, true) + view.getUint16(localHeaderOffset + 28, true);
+            const data = new Uint8Array(buffer, dataOffset, compressedSize);
+            switch (method) {
+                case 0:
+                    return data.slice().buffer;
+                case 8:
+                    return await new Response(new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'))).arrayBuffer();
+                default:
+                    throw new Error('Unknown zip compression: ' + method);
+            }
+        }
+        entryOffset += 46 + nameLength + extraLength + commentLength;
+    }
+    throw new Error('No .hgt file in zip file');
+}
+
+/**
+ Fills the voids of a SRTM tile with the inverse distance weighted elevation of the nearest measurements
+ in the same row and column on both sides of the void
+ @param {{size: number, elevations: Int16Array}} tile: tile as returned by parseHgtTile, modified in place
+ @returns {{size: number, elevations: Int16Array}} the given tile, voids without measurements in their row and column are kept
+ */
+function fillHgtVoids(tile) {
+    const size = tile.size,
+        original = tile.elevations.slice();
+    for (let row = 0; row < size; row++) {
+        for (let column = 0; column < size; column++) {
+            if (original[row * size + column] !== HGT_VOID) {
+                continue;
+            }
+            let weightedSum = 0,
+                weights = 0;
+            for (const [stepColumn, stepRow] of [[-1, 0], [1, 0], [0, -1], [0, 1]]) {
+                for (let distance = 1; ; distance++) {
+                    const neighbourColumn = column + stepColumn * distance,
+                        neighbourRow = row + stepRow * distance;
+                    if (neighbourColumn < 0 || neighbourRow < 0 || neighbourColumn >= size || neighbourRow >= size) {
+                        break;
+                    }
+                    const elevation = original[neighbourRow * size + neighbourColumn];
+                    if (elevation !== HGT_VOID) {
+                        weightedSum += elevation / distance;
+                        weights += 1 / distance;
+                        break;
+                    }
+                }
+            }
+            if (weights > 0) {
+                tile.elevations[row * size + column] = Math.round(weightedSum / weights);
+            }
+        }
+    }
+    return tile;
+}
+
+/**
+ Creates an elevation provider from SRTM1 or SRTM3 tiles, interpolating bilinearly between the measurements.
+ Tiles are loaded when they are needed and may be zipped, the file names have to start with the tile name, e.g. 'N51E012.hgt' or 'N51E012.SRTMGL1.hgt.zip'.
+ @param {FileList|File[]|string} source: files of the tiles, e.g. of a folder chosen with <input type="file" webkitdirectory>,
+ or the url of a folder with the tiles named '<tile name>.hgt' or with options.extension
+ @param {{fillVoids: boolean, extension: string, maxCachedTiles: number}} [options]:
+ fillVoids: fill voids from the surrounding measurements (see fillHgtVoids), defaults to true,
+ extension: file extension of the tiles in the folder of an url source, defaults to '.hgt',
+ maxCachedTiles: number of decoded tiles kept in memory, defaults to 16 (an SRTM1 tile takes about 26 MB)
+ @returns {{getElevations: function(number[][]): Promise<number[]>}} elevation provider, NaN for locations without tile or next to remaining voids
+ */
+function createSRTMElevationProvider(source, options = {}) {
+    const fillVoids = options.fillVoids !== false,
+        extension = options.extension || '.hgt',
+        maxCachedTiles = options.maxCachedTiles || 16;
+    //promises of the decoded tiles by their name, in the order of their last use
+    const tiles = new Map();
+
+    async function readTile(name) {
+        let buffer, fileName;
+        if (typeof source === 'string') {
+            fileName = name + extension;
+            const response = await fetch(source.replace(/\/?$/, '/') + fileName);
+            if (!response.ok) {
+                return null;
+            }
+            buffer = await response.arrayBuffer();
+        } else {
+            const file = Array.from(source).find(file => file.name.toUpperCase().startsWith(name));
+            if (!file) {
+                return null;
+            }
+            fileName = file.name;
+            buffer = await file.arrayBuffer();
+        }
+        if (/\.zip$/i.test(fileName)) {
+            buffer = await unzipHgt(buffer);
+        }
+        const tile = parseHgtTile(buffer);
+        return fillVoids ? fillHgtVoids(tile) : tile;
+    }
+
+    function loadTile(name) {
+        let tile = tiles.get(name);
+        if (tile) {
+            tiles.delete(name);
+        } else {
+            tile = readTile(name);
+            //a failed read is not kept in the cache, so the next lookup tries again
+            tile.catch(() => {
+                if (tiles.get(name) === tile) {
+                    tiles.delete(name);
+                }
+            });
+            if (tiles.size >= maxCachedTiles) {
+                tiles.delete(tiles.keys().next().value);
+            }
+        }
+        tiles.set(name, tile);
+        return tile;
+    }
+
+    return {
+        getElevations: async function (locations) {
+            const names = locations.map(hgtTileName);
+            let loadedTiles = new Map();
+            for (const name of new Set(names)) {
+                loadedTiles.set(name, await loadTile(name));
+            }
+            return locations.map(([lat, lng], index) => {
+                const tile = loadedTiles.get(names[index]);
+                if (!tile) {
+                    return NaN;
+                }
+                const size = tile.size;
+                //the first row lies on the northern, the first column on the western edge of the tile
+                const x = (lng - Math.floor(lng)) * (size - 1),
+                    y = (Math.floor(lat) + 1 - lat) * (size - 1);
+                const column = Math.min(Math.floor(x), size - 2),
+                    row = Math.min(Math.floor(y), size - 2);
+                const dx = x - column,
+                    dy = y - row;
+                let elevation = 0;
+                for (const [weight, neighbourColumn, neighbourRow] of [[(1 - dx) * (1 - dy), column, row], [dx * (1 - dy), column + 1, row],
+                    [(1 - dx) * dy, column, row + 1], [dx * dy, column + 1, row + 1]]) {
+                    if (weight > 0) {
+                        const value = tile.elevations[neighbourRow * size + neighbourColumn];
+                        elevation += value === HGT_VOID ? NaN : weight * value;
+                    }
+                }
+                return elevation;
+            });
+        }
+    };
+}
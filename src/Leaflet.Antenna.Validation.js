@@ -0,0 +1,237 @@
+/**
+ Validation of network files (see parseNetworkJSONFile) against the JSON Schema network.schema.json and the references between
+ sites, antennas, profiles and links. Errors are objects {path, message} with the JSON path of the invalid value, e.g.
+ {path: '$.antenna_sites[0].installed_antennas[1].antenna_profile', message: "Unknown antenna profile 'Brand-AP-Gen3', did you mean 'Brand-AP-Gen2'?"}
+ */
+
+/**
+ Returns the JSON path of a property or array element
+ @param {string} path: JSON path of the parent, e.g. '$.antenna_sites'
+ @param {string|number} key: property name or array index
+ @returns {string} JSON path, e.g. '$.antenna_sites[0]'
+ */
+function jsonPath(path, key) {
+    if (typeof key === 'number') {
+        return path + '[' + key + ']';
+    }
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? path + '.' + key : path + "['" + key.replace(/'/g, "\\'") + "']";
+}
+
+/**
+ Returns the JSON Schema type of a value
+ @param {*} value: parsed JSON value
+ @returns {string} 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+function jsonSchemaType(value) {
+    if (value === null) {
+        return 'null';
+    } else if (Array.isArray(value)) {
+        return 'array';
+    } else if (typeof value === 'number' && Number.isInteger(value)) {
+        return 'integer';
+    }
+    return typeof value;
+}
+
+/**
+ Validates a value against a JSON Schema. Supports the keywords $ref (within the schema), type, enum, required, properties, additionalProperties,
+ items, minItems, minLength, minimum, maximum and exclusiveMinimum, which are enough for network.schema.json
+ @param {*} value: parsed JSON value
+ @param {object} schema: JSON Schema or subschema
+ @param {string} [path]: JSON path of the value, defaults to '$'
+ @param {object} [rootSchema]: schema the $ref of subschemas point into, defaults to schema
+ @returns {{path: string, message: string}[]} errors, empty if the value is valid
+ */
+function validateJSONSchema(value, schema, path = '$', rootSchema = schema) {
+    if (schema.$ref) {
+        if (!schema.$ref.startsWith('#/')) {
+            throw new Error('Unknown schema reference: ' + schema.$ref);
+        }
+        const referencedSchema = schema.$ref.slice(2).split('/').reduce((subschema, key) => subschema && subschema[key], rootSchema);
+        if (!referencedSchema) {
+            throw new Error('Unknown schema reference: ' + schema.$ref);
+        }
+        return validateJSONSchema(value, referencedSchema, path, rootSchema);
+    }
+    let errors = [];
+    const type = jsonSchemaType(value);
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        //integers are numbers as well
+        if (!types.includes(type) && !(type === 'integer' && types.includes('number'))) {
+            return [{path: path, message: 'Expected ' + types.join(' or ') + ' but got ' + type + ' ' + JSON.stringify(value)}];
+        }
+    }
+    if (schema.enum && !schema.enum.some(allowedValue => allowedValue === value)) {
+        errors.push({path: path, message: 'Expected one of ' + schema.enum.map(allowedValue => JSON.stringify(allowedValue)).join(', ') + ' but got ' + JSON.stringify(value)});
+    }
+    if (type === 'number' || type === 'integer') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({path: path, message: 'Expected at least ' + schema.minimum + ' but got ' + value});
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({path: path, message: 'Expected at most ' + schema.maximum + ' but got ' + value});
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            errors.push({path: path, message: 'Expected more than ' + schema.exclusiveMinimum + ' but got ' + value});
+        }
+    }
+    if (type === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push({path: path, message: 'Expected at least ' + schema.minLength + ' characters'});
+    }
+    if (type === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({path: path, message: 'Expected at least ' + schema.minItems + ' items'});
+        }
+        if (schema.items) {
+            value.forEach((item, index) => errors.push(...validateJSONSchema(item, schema.items, jsonPath(path, index), rootSchema)));
+        }
+    }
+    if (type === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                errors.push({path: jsonPath(path, key), message: "Missing required property '" + key + "'"});
+            }
+        }
+        for (const key in value) {
+            if (schema.properties && schema.properties[key]) {
+                errors.push(...validateJSONSchema(value[key], schema.properties[key], jsonPath(path, key), rootSchema));
+            } else if (schema.additionalProperties === false) {
+                const closest = closestName(key, Object.keys(schema.properties || {}));
+                errors.push({path: jsonPath(path, key), message: "Unknown property '" + key + "'" + (closest !== undefined ? ", did you mean '" + closest + "'?" : '')});
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...validateJSONSchema(value[key], schema.additionalProperties, jsonPath(path, key), rootSchema));
+            }
+        }
+    }
+    return errors;
+}
+
+/**
+ Returns the name most similar to a misspelled name
+ @param {string} name: misspelled name
+ @param {string[]} names: existing names
+ @returns {string|undefined} the existing name with the fewest edits (at most a third of its length), undefined if none is similar enough
+ */
+function closestName(name, names) {
+    let closest,
+        closestDistance = Infinity;
+    for (const candidate of names) {
+        //Levenshtein distance, row by row
+        let previousRow = Array.from({length: candidate.length + 1}, (value, index) => index);
+        for (let i = 1; i <= name.length; i++) {
+            let row = [i];
+            for (let j = 1; j <= candidate.length; j++) {
+                row[j] = Math.min(previousRow[j] + 1, row[j - 1] + 1, previousRow[j - 1] + (name[i - 1] === candidate[j - 1] ? 0 : 1));
+            }
+            previousRow = row;
+        }
+        const distance = previousRow[candidate.length];
+        if (distance < closestDistance && distance <= Math.max(1, Math.floor(candidate.length / 3))) {
+            closest = candidate;
+            closestDistance = distance;
+        }
+    }
+    return closest;
+}
+
+//properties an antenna profile needs to transmit (antenna_profile) or to receive (cpe_profile), with the alternatives that can replace them
+const PROFILE_ROLE_PROPERTIES = {
+    antenna_profile: [['output_power'], ['sensitivity'], ['ant_file', 'pattern'], ['frequency', 'ant_file'], ['gain', 'ant_file']],
+    cpe_profile: [['gain'], ['sensitivity']]
+};
+
+/**
+ Validates a network file against the JSON Schema and checks the references of its sites, antennas and links,
+ including the properties the profiles need as antenna_profile or cpe_profile (see PROFILE_ROLE_PROPERTIES)
+ @param {object} networkData: parsed network file
+ @param {{schema: object, markerNames: string[]}} [options]: schema: parsed network.schema.json, only the references and the lists antenna_sites and antenna_profiles are checked without schema,
+ markerNames: names of the map markers the sites are placed at (see getMapMarkerNameAndPos), sites aren't checked without markers
+ @returns {{path: string, message: string}[]} errors, empty if the network file is valid
+ */
+function validateNetwork(networkData, options = {}) {
+    let errors = options.schema ? validateJSONSchema(networkData, options.schema) : [];
+    if (jsonSchemaType(networkData) !== 'object') {
+        return errors.length > 0 ? errors : [{path: '$', message: 'Expected object but got ' + jsonSchemaType(networkData)}];
+    }
+    if (!options.schema) {
+        //required by the schema as well, parseNetworkJSONFile draws nothing without them
+        for (const key of ['antenna_sites', 'antenna_profiles']) {
+            if (networkData[key] === undefined) {
+                errors.push({path: jsonPath('$', key), message: "Missing required property '" + key + "'"});
+            } else if (!Array.isArray(networkData[key])) {
+                errors.push({path: jsonPath('$', key), message: 'Expected array but got ' + jsonSchemaType(networkData[key]) + ' ' + JSON.stringify(networkData[key])});
+            }
+        }
+    }
+    const objectsAt = (list, path) => (Array.isArray(list) ? list : [])
+        .map((item, index) => ({item: item, path: jsonPath(path, index)}))
+        .filter(entry => jsonSchemaType(entry.item) === 'object');
+    const suggestion = (name, names) => {
+        const closest = typeof name === 'string' ? closestName(name, names) : undefined;
+        return closest !== undefined ? ", did you mean '" + closest + "'?" : '';
+    };
+    const checkUnique = (entries, key, description) => {
+        let names = new Set();
+        for (const entry of entries) {
+            const name = entry.item[key];
+            if (names.has(name)) {
+                errors.push({path: jsonPath(entry.path, key), message: 'Duplicate ' + description + " '" + name + "'"});
+            }
+            names.add(name);
+        }
+        return Array.from(names).filter(name => typeof name === 'string');
+    };
+
+    const profiles = objectsAt(networkData.antenna_profiles, '$.antenna_profiles');
+    const profileNames = checkUnique(profiles, 'profile_name', 'antenna profile');
+    const sites = objectsAt(networkData.antenna_sites, '$.antenna_sites');
+    let antennas = [];
+    for (const site of sites) {
+        if (options.markerNames && typeof site.item.site_name === 'string' && !options.markerNames.includes(site.item.site_name)) {
+            errors.push({
+                path: jsonPath(site.path, 'site_name'),
+                message: "No map marker named '" + site.item.site_name + "'" + suggestion(site.item.site_name, options.markerNames)
+            });
+        }
+        antennas.push(...objectsAt(site.item.installed_antennas, jsonPath(site.path, 'installed_antennas')));
+    }
+    const antennaNames = checkUnique(antennas, 'antenna_name', 'antenna name');
+    //profiles checked for their role, each profile is reported once per role
+    let checkedProfiles = new Set();
+    for (const antenna of antennas) {
+        for (const key of ['antenna_profile', 'cpe_profile']) {
+            const name = antenna.item[key];
+            if (typeof name !== 'string') {
+                continue;
+            }
+            const profile = profiles.find(entry => entry.item.profile_name === name);
+            if (!profile) {
+                errors.push({path: jsonPath(antenna.path, key), message: "Unknown antenna profile '" + name + "'" + suggestion(name, profileNames)});
+            } else if (!checkedProfiles.has(key + ':' + name)) {
+                checkedProfiles.add(key + ':' + name);
+                for (const alternatives of PROFILE_ROLE_PROPERTIES[key]) {
+                    if (alternatives.every(property => profile.item[property] === undefined)) {
+                        errors.push({
+                            path: jsonPath(profile.path, alternatives[0]),
+                            message: "Missing property '" + alternatives.join("' or '") + "' of antenna profile '" + name + "' used as " + key
+                                + " of antenna '" + antenna.item.antenna_name + "'"
+                        });
+                    }
+                }
+            }
+        }
+    }
+    for (const link of objectsAt(networkData.antenna_links, '$.antenna_links')) {
+        for (const key of ['antenna_from', 'antenna_to']) {
+            const name = link.item[key];
+            if (typeof name === 'string' && !antennaNames.includes(name)) {
+                errors.push({path: jsonPath(link.path, key), message: "Unknown antenna '" + name + "'" + suggestion(name, antennaNames)});
+            }
+        }
+        if (link.item.antenna_from !== undefined && link.item.antenna_from === link.item.antenna_to) {
+            errors.push({path: jsonPath(link.path, 'antenna_to'), message: "Link from antenna '" + link.item.antenna_from + "' to itself"});
+        }
+    }
+    return errors;
+}
@@ -0,0 +1,18 @@
+/**
+ Web Worker evaluating the radials of coverage calculations, started by createCoverageWorkerPool.
+ Messages: {importScripts: string[]} loads further scripts, e.g. with custom propagation models,
+ {radials: object[], parameters: object} evaluates the radials (see evaluateRadial) and answers with {results: object[]} or {error: string}.
+ */
+importScripts('Leaflet.Antenna.js', 'Leaflet.Antenna.ITM.js');
+
+onmessage = function (event) {
+    if (event.data.importScripts) {
+        importScripts(...event.data.importScripts);
+        return;
+    }
+    try {
+        postMessage({results: event.data.radials.map(radial => evaluateRadial(radial, event.data.parameters))});
+    } catch (error) {
+        postMessage({error: error.message});
+    }
+};
@@ -30,6 +30,97 @@ function destination(latlng, heading, distance) {
     return [lat2 * radInv, lon2];
 }
 
+/**
+ Returns the distance between two points on a sphere with the radius used by destination
+ @param {number[]} from: first point [lat,long]
+ @param {number[]} to: second point [lat,long]
+ @returns {number} distance in meters
+ */
+function distanceBetween(from, to) {
+    const rad = Math.PI / 180,
+        dLat = (to[0] - from[0]) * rad,
+        dLon = (to[1] - from[1]) * rad;
+    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2)
+        + Math.cos(from[0] * rad) * Math.cos(to[0] * rad) * Math.sin(dLon / 2) * Math.sin(dLon / 2);
+    return 2 * 6378137 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ Returns the initial heading from one point to another
+ @param {number[]} from: origin point [lat,long]
+ @param {number[]} to: destination point [lat,long]
+ @returns {number} heading in degrees, clockwise from 0 degrees north
+ */
+function bearing(from, to) {
+    const rad = Math.PI / 180,
+        lat1 = from[0] * rad,
+        lat2 = to[0] * rad,
+        dLon = (to[1] - from[1]) * rad;
+    const y = Math.sin(dLon) * Math.cos(lat2),
+        x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+    return (Math.atan2(y, x) / rad + 360) % 360;
+}
+
+//propagation models by name, see registerPropagationModel
+const propagationModels = {};
+//names of the propagation models which account for the terrain between both antennas themselves
+const terrainAwarePropagationModels = new Set();
+
+/**
+ Registers a propagation model, which can then be chosen by name with the propagationModel option of calcRadPatternWithObstacles
+ or the propagation_model of an antenna profile.
+ @param {string} name: name of the model, an already registered model with the same name is replaced
+ @param {function({profile: {height: number, distance: number}[], distance: number, frequency: number, heightTXAntenna: number, heightRXAntenna: number, kFactor: number, parameters: object}): number} model:
+ calculates the path loss in dB without antenna gains from the terrain profile between both antennas (starting at the transmitting antenna, only valid during the call),
+ the distance between them in meters, the frequency in GHz, the install heights above ground in meters and the model specific parameters
+ @param {{terrainAware: boolean}} [options]: terrainAware: true if the model accounts for obstacles in the terrain profile itself, e.g. 'itm',
+ otherwise points behind obstacles are unreachable like with free space propagation unless a diffractionModel is set (see calcRadPatternWithObstacles)
+ */
+function registerPropagationModel(name, model, options = {}) {
+    propagationModels[name] = model;
+    if (options.terrainAware) {
+        terrainAwarePropagationModels.add(name);
+    } else {
+        terrainAwarePropagationModels.delete(name);
+    }
+}
+
+/**
+ Checks if a registered propagation model accounts for obstacles in the terrain profile itself
+ @param {string} name: name of a registered propagation model
+ @returns {boolean} true if the model was registered with terrainAware
+ */
+function isTerrainAwarePropagationModel(name) {
+    return terrainAwarePropagationModels.has(name);
+}
+
+/**
+ Calculates the path loss between two antennas with the given propagation model.
+ @param {string} name: name of a registered propagation model, e.g. 'free-space'
+ @param {{profile: {height: number, distance: number}[], distance: number, frequency: number, heightTXAntenna: number, heightRXAntenna: number, kFactor: number, parameters: object}} path: see registerPropagationModel
+ @returns {number} path loss in dB without antenna gains
+ */
+function propagationLoss(name, path) {
+    const model = propagationModels[name];
+    if (!model) {
+        throw new Error('Unknown propagation model: ' + name);
+    }
+    return model(path);
+}
+
+/**
+ Creates a terrain profile of the given length without any elevation, e.g. for the outer border of the radiation pattern.
+ @param {number} distance: length of the profile in meters
+ @returns {{height: number, distance: number}[]} flat terrain profile
+ */
+function flatProfile(distance) {
+    let profile = [];
+    for (let i = 0; i <= 10; i++) {
+        profile.push({height: 0, distance: distance * i / 10});
+    }
+    return profile;
+}
+
 /**
  Calculates the maximum distance between both antennas disregarding obstacles in between.
  @param {number} frequency: frequency both antennas operate on in GHz
@@ -37,11 +128,34 @@ function destination(latlng, heading, distance) {
  @param {number} sensitivityRXAntenna: sensitivity of the receiving antenna in dBw
  @param {number} gainTxAntenna: gain of the transmitting antenna in dBw
  @param {number} gainRxAntenna: gain of the receiving antenna in dBw
+ @param {{model: string, parameters: object, heightTXAntenna: number, heightRXAntenna: number, kFactor: number}} [propagation]: propagation model and install heights, free space path loss if not set
  @returns {number} maximum distance between antennas in meters
  */
-function maxDistance(frequency, outputPowerTXAntenna, sensitivityRXAntenna, gainTxAntenna, gainRxAntenna) {
+function maxDistance(frequency, outputPowerTXAntenna, sensitivityRXAntenna, gainTxAntenna, gainRxAntenna, propagation) {
     //distance where FSPL - outputPowerTXAntenna - gainTxAntenna - gainRxAntenna == sensitivityRXAntenna
     let maxSignalLoss = outputPowerTXAntenna + gainTxAntenna + gainRxAntenna + sensitivityRXAntenna;
+    if (propagation && propagation.model !== 'free-space') {
+        //bisection over the logarithm of the distance between 1 m and 1000 km, assumes the loss increases with the distance
+        let lower = 0, upper = 6;
+        for (let i = 0; i < 30; i++) {
+            const distance = Math.pow(10, (lower + upper) / 2);
+            const loss = propagationLoss(propagation.model, {
+                profile: flatProfile(distance),
+                distance: distance,
+                frequency: frequency,
+                heightTXAntenna: propagation.heightTXAntenna,
+                heightRXAntenna: propagation.heightRXAntenna,
+                kFactor: propagation.kFactor,
+                parameters: propagation.parameters || {}
+            });
+            if (loss <= maxSignalLoss) {
+                lower = (lower + upper) / 2;
+            } else {
+                upper = (lower + upper) / 2;
+            }
+        }
+        return Math.pow(10, lower);
+    }
     //solved FSPL for r with FSPL being maxSignalLoss, reduced constant part: -32.44778322/20 == -1.62238
     return Math.pow(10, (maxSignalLoss / 20 - 1.62238 - Math.log10(frequency)));
 }
@@ -60,124 +174,1248 @@ function freeSpacePathLoss(distance, frequency, gainTxAntenna, gainRxAntenna) {
     return 20 * Math.log10(distance) + 20 * Math.log10(frequency) + 32.44778 - gainTxAntenna - gainRxAntenna;
 }
 
+/**
+ Calculates the path loss of the two-ray ground reflection model, with the free space path loss up to the crossover distance.
+ @param {{distance: number, frequency: number, heightTXAntenna: number, heightRXAntenna: number}} path: see registerPropagationModel
+ @returns {number} path loss in dB
+ */
+function twoRayGroundReflectionLoss(path) {
+    //crossover distance: 4 * Math.PI * heightTXAntenna * heightRXAntenna / wavelength, wavelength == 0.299792458 / frequency
+    const crossoverDistance = 41.9169 * path.heightTXAntenna * path.heightRXAntenna * path.frequency;
+    const freeSpaceLoss = freeSpacePathLoss(path.distance, path.frequency, 0, 0);
+    if (path.distance <= crossoverDistance) {
+        return freeSpaceLoss;
+    }
+    return Math.max(freeSpaceLoss, 40 * Math.log10(path.distance) - 20 * Math.log10(path.heightTXAntenna) - 20 * Math.log10(path.heightRXAntenna));
+}
+
+/**
+ Calculates the correction factor of the Hata models for the height of the mobile (receiving) antenna.
+ @param {number} frequencyMHz: frequency in MHz
+ @param {number} heightRXAntenna: height of the receiving antenna in meters
+ @param {string} citySize: 'large' for large cities, else small and medium-sized cities
+ @returns {number} correction factor in dB
+ */
+function hataMobileHeightCorrection(frequencyMHz, heightRXAntenna, citySize) {
+    if (citySize === 'large') {
+        return frequencyMHz >= 300
+            ? 3.2 * Math.pow(Math.log10(11.75 * heightRXAntenna), 2) - 4.97
+            : 8.29 * Math.pow(Math.log10(1.54 * heightRXAntenna), 2) - 1.1;
+    }
+    return (1.1 * Math.log10(frequencyMHz) - 0.7) * heightRXAntenna - (1.56 * Math.log10(frequencyMHz) - 0.8);
+}
+
+/**
+ Calculates the path loss of the Okumura-Hata model (150 - 1500 MHz, 1 - 20 km).
+ @param {{distance: number, frequency: number, heightTXAntenna: number, heightRXAntenna: number, parameters: {environment: string, citySize: string}}} path: see registerPropagationModel,
+ parameters.environment: 'urban' (default), 'suburban' or 'open', parameters.citySize: 'large' or 'medium' (default)
+ @returns {number} path loss in dB
+ */
+function okumuraHataLoss(path) {
+    const frequencyMHz = path.frequency * 1000,
+        logFrequency = Math.log10(frequencyMHz),
+        environment = path.parameters.environment || 'urban';
+    const urbanLoss = 69.55 + 26.16 * logFrequency - 13.82 * Math.log10(path.heightTXAntenna)
+        - hataMobileHeightCorrection(frequencyMHz, path.heightRXAntenna, path.parameters.citySize)
+        + (44.9 - 6.55 * Math.log10(path.heightTXAntenna)) * Math.log10(path.distance / 1000);
+    if (environment === 'suburban') {
+        return urbanLoss - 2 * Math.pow(Math.log10(frequencyMHz / 28), 2) - 5.4;
+    }
+    if (environment === 'open') {
+        return urbanLoss - 4.78 * Math.pow(logFrequency, 2) + 18.33 * logFrequency - 40.94;
+    }
+    return urbanLoss;
+}
+
+/**
+ Calculates the path loss of the COST-231 Hata model (1500 - 2000 MHz, 1 - 20 km).
+ @param {{distance: number, frequency: number, heightTXAntenna: number, heightRXAntenna: number, parameters: {environment: string, citySize: string}}} path: see registerPropagationModel,
+ parameters.environment: 'metropolitan' adds 3 dB, else medium-sized cities and suburban areas, parameters.citySize: see okumuraHataLoss
+ @returns {number} path loss in dB
+ */
+function cost231HataLoss(path) {
+    const frequencyMHz = path.frequency * 1000;
+    return 46.3 + 33.9 * Math.log10(frequencyMHz) - 13.82 * Math.log10(path.heightTXAntenna)
+        - hataMobileHeightCorrection(frequencyMHz, path.heightRXAntenna, path.parameters.citySize)
+        + (44.9 - 6.55 * Math.log10(path.heightTXAntenna)) * Math.log10(path.distance / 1000)
+        + (path.parameters.environment === 'metropolitan' ? 3 : 0);
+}
+
+/**
+ Calculates the path loss of the Egli model for irregular terrain.
+ @param {{distance: number, frequency: number, heightTXAntenna: number, heightRXAntenna: number}} path: see registerPropagationModel
+ @returns {number} path loss in dB
+ */
+function egliLoss(path) {
+    const loss = 20 * Math.log10(path.frequency * 1000) + 40 * Math.log10(path.distance / 1000) - 20 * Math.log10(path.heightTXAntenna);
+    return path.heightRXAntenna <= 10
+        ? loss + 76.3 - 10 * Math.log10(path.heightRXAntenna)
+        : loss + 85.9 - 20 * Math.log10(path.heightRXAntenna);
+}
+
+registerPropagationModel('free-space', path => freeSpacePathLoss(path.distance, path.frequency, 0, 0));
+registerPropagationModel('two-ray', twoRayGroundReflectionLoss);
+registerPropagationModel('okumura-hata', okumuraHataLoss);
+registerPropagationModel('cost231-hata', cost231HataLoss);
+registerPropagationModel('egli', egliLoss);
+
+/**
+ Returns the value of a radiation pattern at the given angle, interpolated between the values of the neighbouring degrees.
+ @param {number[]} values: pattern values per degree, starting from 0° to 359°
+ @param {number} angle: angle in degrees
+ @returns {number} pattern value at the angle
+ */
+function patternValue(values, angle) {
+    const normalizedAngle = ((angle % 360) + 360) % 360;
+    const lowerAngle = Math.floor(normalizedAngle);
+    const ratio = normalizedAngle - lowerAngle;
+    return values[lowerAngle] * (1 - ratio) + values[(lowerAngle + 1) % 360] * ratio;
+}
+
+/**
+ Calculates the gain difference of an antenna towards a point by combining its horizontal and vertical pattern.
+ @param {{horizontal: number[], vertical: number[]}} pattern: gain difference to the maximum gain per degree (see parseAntennaPattern)
+ @param {number} azimuth: horizontal angle of the point relative to the pointing direction in degrees, clockwise
+ @param {number} elevationAngle: angle of the point below the horizon in degrees, negative above the horizon
+ @param {number} [mechanicalDowntilt]: downward tilt of the whole antenna in degrees, which decreases towards the sides of the antenna
+ @param {number} [electricalDowntilt]: downward tilt of the vertical pattern in degrees
+ @returns {number} gain difference to the maximum gain in dB
+ */
+function patternGain(pattern, azimuth, elevationAngle, mechanicalDowntilt = 0, electricalDowntilt = 0) {
+    //a mechanically tilted antenna lifts its back lobe, so the tilt is scaled with the cosine of the azimuth
+    const downtilt = electricalDowntilt + mechanicalDowntilt * Math.cos(azimuth * Math.PI / 180);
+    return patternValue(pattern.horizontal, azimuth) + patternValue(pattern.vertical, elevationAngle - downtilt);
+}
+
+/**
+ Calculates the angle of the receiving antenna below the horizon of the transmitting antenna, with the earth curving away from it.
+ @param {number} elevationTXAntenna: elevation of the transmitting antenna in meters (terrain and install height)
+ @param {number} elevationRXAntenna: elevation of the receiving antenna in meters (terrain and install height)
+ @param {number} distance: distance between both antennas in meters
+ @param {number} kFactor: effective earth radius factor, e.g. 4/3 for a standard atmosphere
+ @returns {number} angle in degrees, negative if the receiving antenna is above the horizon
+ */
+function depressionAngle(elevationTXAntenna, elevationRXAntenna, distance, kFactor) {
+    return (Math.atan2(elevationTXAntenna - elevationRXAntenna, distance) + distance / (2 * kFactor * 6371000)) * 180 / Math.PI;
+}
+
 /**
  Calculates the radiation pattern border of the transmitting antenna relative to the receiving antenna and obstacles.
  @param {number[]} center: the origin point of the antenna [lat,long], e.g. [51.33849, 12.40729]
  @param {number} pointDir: the direction the antenna is pointing at in degrees, e.g. 0 (facing north)
- @param {number[]} radiationIDif: the radiation pattern values per angle, starting from 0° to 360°
+ @param {number[]} radiationIDif: the radiation pattern values per angle, starting from 0° to 360°, e.g. the horizontal gain of the transmitting antenna
  @param {number} outputPowerTXAntenna: output power of the transmitting antenna in dBm
  @param {number} sensitivityRXAntenna: sensitivity of the receiving antenna in dBm
  @param {number} gainRXAntenna: gain of the receiving antenna in dBi
  @param {number} frequency: frequency both antennas operate on in GHz
+ @param {{model: string, parameters: object, heightTXAntenna: number, heightRXAntenna: number, kFactor: number}} [propagation]: see maxDistance
  @returns {Number[][]} list of border points of the radiation pattern with the distance from center [[lat,long,distance]]
  */
-function calcRadPatternBorder(center, pointDir, radiationIDif, outputPowerTXAntenna, sensitivityRXAntenna, gainRXAntenna, frequency) {
+function calcRadPatternBorder(center, pointDir, radiationIDif, outputPowerTXAntenna, sensitivityRXAntenna, gainRXAntenna, frequency, propagation) {
 
     let outerborder = [];
 
     for (let antennaAngle = 0; antennaAngle < 360; antennaAngle++) {
         let gainTXAntenna = radiationIDif[antennaAngle];
-        let distanceToOuterBorder = maxDistance(frequency, outputPowerTXAntenna, sensitivityRXAntenna, gainTXAntenna, gainRXAntenna);
+        let distanceToOuterBorder = maxDistance(frequency, outputPowerTXAntenna, sensitivityRXAntenna, gainTXAntenna, gainRXAntenna, propagation);
         outerborder.push(destination(center, pointDir + antennaAngle, distanceToOuterBorder).concat(distanceToOuterBorder));
     }
     return outerborder;
 }
 
 /**
- Calculates antenna coverage of the given transmitting antenna relative to a equally specified receiving antenna and obstacles.
+ Calculates the height the earth bulges above the straight line between two antennas at the given point.
+ @param {number} distFromTXAntenna: distance of the point from the transmitting antenna in meters
+ @param {number} distance: distance between both antennas in meters
+ @param {number} kFactor: effective earth radius factor, e.g. 4/3 for a standard atmosphere
+ @returns {number} earth bulge in meters
+ */
+function earthBulge(distFromTXAntenna, distance, kFactor) {
+    //mean earth radius 6371000 m, scaled by the k-factor to account for atmospheric refraction
+    return (distFromTXAntenna * (distance - distFromTXAntenna)) / (2 * kFactor * 6371000);
+}
+
+/**
+ Calculates the radius of the given fresnel zone at a point between two antennas.
+ @param {number} fresnelZone: number of the fresnel zone, e.g. 1 for the inner fresnel zone
+ @param {number} distFromTXAntenna: distance of the point from the transmitting antenna in meters
+ @param {number} distance: distance between both antennas in meters
+ @param {number} frequency: frequency both antennas operate on in GHz
+ @returns {number} fresnel zone radius in meters
+ */
+function fresnelZoneRadius(fresnelZone, distFromTXAntenna, distance, frequency) {
+    //fresnelRadius == Math.sqrt((n * 299792458 * distFromTXAntenna * (distance - distFromTXAntenna)) / (frequency * Math.pow(10, 9) * distance));
+    //reduced constant part: Math.sqrt(299792458 / Math.pow(10, 9)) == 0.5475331
+    return 0.5475331 * Math.sqrt((fresnelZone * distFromTXAntenna * (distance - distFromTXAntenna)) / (frequency * distance));
+}
+
+/**
+ Checks if all terrain points between two antennas stay below the line of sight lowered by the radius of the given fresnel zone,
+ with the terrain raised by the earth bulge.
+ @param {{height: number, distance: number}[]} pathPoints: terrain elevation and distance from the transmitting antenna of all points in between
+ @param {number} elevationTXAntenna: elevation of the transmitting antenna in meters (terrain and install height)
+ @param {number} elevationRXAntenna: elevation of the receiving antenna in meters (terrain and install height)
+ @param {number} distance: distance between both antennas in meters
+ @param {number} frequency: frequency both antennas operate on in GHz
+ @param {number} fresnelZone: number of the fresnel zone that has to be clear, 0 to only check the line of sight
+ @param {number} kFactor: effective earth radius factor, e.g. 4/3 for a standard atmosphere
+ @returns {boolean} true if no point obstructs the line of sight or fresnel zone
+ */
+function isPathUnobstructed(pathPoints, elevationTXAntenna, elevationRXAntenna, distance, frequency, fresnelZone, kFactor) {
+    //y = mx+n , m: slopeLineOfSight, n: elevationTXAntenna
+    const slopeLineOfSight = (elevationRXAntenna - elevationTXAntenna) / distance;
+    return pathPoints.every(element => {
+        const fresnelRadius = fresnelZone > 0 ? fresnelZoneRadius(fresnelZone, element.distance, distance, frequency) : 0;
+        return element.height + earthBulge(element.distance, distance, kFactor) <= slopeLineOfSight * element.distance + elevationTXAntenna - fresnelRadius;
+    });
+}
+
+/**
+ Calculates the diffraction loss of a single knife-edge obstacle (ITU-R P.526 approximation of J(v)).
+ @param {number} v: dimensionless Fresnel-Kirchhoff diffraction parameter of the obstacle
+ @returns {number} diffraction loss in dB, 0 for obstacles well below the line of sight
+ */
+function knifeEdgeDiffractionLoss(v) {
+    if (v <= -0.78) {
+        return 0;
+    }
+    return 6.9 + 20 * Math.log10(Math.sqrt(Math.pow(v - 0.1, 2) + 1) + v - 0.1);
+}
+
+/**
+ Calculates the Fresnel-Kirchhoff diffraction parameter of the profile point edge relative to the line between the profile points start and end.
+ @param {{height: number, distance: number}[]} profile: terrain elevation and distance from the transmitting antenna, corrected for earth bulge
+ @param {number} start: index of the profile point the line starts at
+ @param {number} end: index of the profile point the line ends at
+ @param {number} edge: index of the obstacle between start and end
+ @param {number} frequency: frequency both antennas operate on in GHz
+ @returns {number} diffraction parameter v, positive if the obstacle reaches above the line
+ */
+function diffractionParameter(profile, start, end, edge, frequency) {
+    const distFromStart = profile[edge].distance - profile[start].distance;
+    const distToEnd = profile[end].distance - profile[edge].distance;
+    const distance = distFromStart + distToEnd;
+    const heightAboveLine = profile[edge].height - (profile[start].height + (profile[end].height - profile[start].height) * distFromStart / distance);
+    //wavelength in meters: 0.299792458 / frequency
+    return heightAboveLine * Math.sqrt((2 * distance * frequency) / (0.299792458 * distFromStart * distToEnd));
+}
+
+/**
+ Finds the obstacle with the highest diffraction parameter between the profile points start and end.
+ @param {{height: number, distance: number}[]} profile: terrain elevation and distance from the transmitting antenna, corrected for earth bulge
+ @param {number} start: index of the first profile point
+ @param {number} end: index of the last profile point
+ @param {number} frequency: frequency both antennas operate on in GHz
+ @returns {{edge: number, v: number}} index and diffraction parameter of the main obstacle, edge is -1 if there are no points in between
+ */
+function findMainEdge(profile, start, end, frequency) {
+    let mainEdge = {edge: -1, v: -Infinity};
+    for (let edge = start + 1; edge < end; edge++) {
+        const v = diffractionParameter(profile, start, end, edge, frequency);
+        if (v > mainEdge.v) {
+            mainEdge = {edge: edge, v: v};
+        }
+    }
+    return mainEdge;
+}
+
+/**
+ Calculates the diffraction loss of the main obstacle only, treating it as a single knife-edge (ITU-R P.526).
+ @param {{height: number, distance: number}[]} profile: terrain elevation and distance from the transmitting antenna, corrected for earth bulge
+ @param {number} frequency: frequency both antennas operate on in GHz
+ @returns {number} diffraction loss in dB
+ */
+function singleKnifeEdgeLoss(profile, frequency) {
+    const mainEdge = findMainEdge(profile, 0, profile.length - 1, frequency);
+    return mainEdge.edge < 0 ? 0 : knifeEdgeDiffractionLoss(mainEdge.v);
+}
+
+/**
+ Calculates the diffraction loss of the profile by replacing all obstacles with one equivalent knife-edge (Bullington).
+ @param {{height: number, distance: number}[]} profile: terrain elevation and distance from the transmitting antenna, corrected for earth bulge
+ @param {number} frequency: frequency both antennas operate on in GHz
+ @returns {number} diffraction loss in dB
+ */
+function bullingtonLoss(profile, frequency) {
+    const last = profile.length - 1,
+        distance = profile[last].distance,
+        elevationTXAntenna = profile[0].height,
+        elevationRXAntenna = profile[last].height;
+    //steepest slope from the transmitting antenna to any obstacle
+    let slopeFromTX = -Infinity;
+    for (let i = 1; i < last; i++) {
+        slopeFromTX = Math.max(slopeFromTX, (profile[i].height - elevationTXAntenna) / profile[i].distance);
+    }
+    const slopeLineOfSight = (elevationRXAntenna - elevationTXAntenna) / distance;
+    if (!(slopeFromTX >= slopeLineOfSight)) {
+        //line of sight is clear, the main obstacle can only obstruct the fresnel zone
+        return singleKnifeEdgeLoss(profile, frequency);
+    }
+    //steepest slope from the receiving antenna to any obstacle
+    let slopeFromRX = -Infinity;
+    for (let i = 1; i < last; i++) {
+        slopeFromRX = Math.max(slopeFromRX, (profile[i].height - elevationRXAntenna) / (distance - profile[i].distance));
+    }
+    //equivalent knife-edge at the intersection of both lines
+    const edgeDistance = (elevationRXAntenna - elevationTXAntenna + slopeFromRX * distance) / (slopeFromTX + slopeFromRX);
+    const equivalentProfile = [
+        profile[0],
+        {height: elevationTXAntenna + slopeFromTX * edgeDistance, distance: edgeDistance},
+        profile[last]
+    ];
+    return knifeEdgeDiffractionLoss(diffractionParameter(equivalentProfile, 0, 2, 1, frequency));
+}
+
+/**
+ Calculates the diffraction loss of the profile as the sum of the losses of all obstacles spanned by a string stretched over the terrain,
+ each relative to its neighbouring obstacles (Epstein-Peterson).
+ @param {{height: number, distance: number}[]} profile: terrain elevation and distance from the transmitting antenna, corrected for earth bulge
+ @param {number} frequency: frequency both antennas operate on in GHz
+ @returns {number} diffraction loss in dB
+ */
+function epsteinPetersonLoss(profile, frequency) {
+    //upper convex hull of the profile, the endpoints are always part of it
+    let hull = [];
+    for (let i = 0; i < profile.length; i++) {
+        while (hull.length >= 2) {
+            const a = profile[hull[hull.length - 2]], b = profile[hull[hull.length - 1]], c = profile[i];
+            //remove b if it lies below the line from a to c
+            if ((b.height - a.height) * (c.distance - a.distance) <= (c.height - a.height) * (b.distance - a.distance)) {
+                hull.pop();
+            } else {
+                break;
+            }
+        }
+        hull.push(i);
+    }
+    if (hull.length === 2) {
+        //line of sight is clear, the main obstacle can only obstruct the fresnel zone
+        return singleKnifeEdgeLoss(profile, frequency);
+    }
+    let loss = 0;
+    for (let i = 1; i < hull.length - 1; i++) {
+        loss += knifeEdgeDiffractionLoss(diffractionParameter(profile, hull[i - 1], hull[i + 1], hull[i], frequency));
+    }
+    return loss;
+}
+
+/**
+ Calculates the diffraction loss of the profile from the main obstacle and, recursively, the main obstacles on both sides of it (Deygout).
+ @param {{height: number, distance: number}[]} profile: terrain elevation and distance from the transmitting antenna, corrected for earth bulge
+ @param {number} frequency: frequency both antennas operate on in GHz
+ @param {number} [start]: index of the first profile point
+ @param {number} [end]: index of the last profile point
+ @param {number} [depth]: remaining recursion depth, the main obstacle and two levels of secondary obstacles by default
+ @returns {number} diffraction loss in dB
+ */
+function deygoutLoss(profile, frequency, start = 0, end = profile.length - 1, depth = 3) {
+    const mainEdge = findMainEdge(profile, start, end, frequency);
+    if (depth === 0 || mainEdge.edge < 0 || mainEdge.v <= -0.78) {
+        return 0;
+    }
+    return knifeEdgeDiffractionLoss(mainEdge.v)
+        + deygoutLoss(profile, frequency, start, mainEdge.edge, depth - 1)
+        + deygoutLoss(profile, frequency, mainEdge.edge, end, depth - 1);
+}
+
+/**
+ Calculates the diffraction loss caused by the terrain between two antennas, which is added to the free space path loss.
+ @param {{height: number, distance: number}[]} pathPoints: terrain elevation and distance from the transmitting antenna of all points in between
+ @param {number} elevationTXAntenna: elevation of the transmitting antenna in meters (terrain and install height)
+ @param {number} elevationRXAntenna: elevation of the receiving antenna in meters (terrain and install height)
+ @param {number} distance: distance between both antennas in meters
+ @param {number} frequency: frequency both antennas operate on in GHz
+ @param {number} kFactor: effective earth radius factor, e.g. 4/3 for a standard atmosphere
+ @param {string} model: diffraction model, one of 'itu-r-p526' (single knife-edge), 'bullington', 'epstein-peterson' or 'deygout'
+ @returns {number} diffraction loss in dB
+ */
+function diffractionLoss(pathPoints, elevationTXAntenna, elevationRXAntenna, distance, frequency, kFactor, model) {
+    let profile = [{height: elevationTXAntenna, distance: 0}];
+    for (const element of pathPoints) {
+        if (element.distance > 0 && element.distance < distance) {
+            profile.push({height: element.height + earthBulge(element.distance, distance, kFactor), distance: element.distance});
+        }
+    }
+    profile.push({height: elevationRXAntenna, distance: distance});
+
+    switch (model) {
+        case 'itu-r-p526':
+            return singleKnifeEdgeLoss(profile, frequency);
+        case 'bullington':
+            return bullingtonLoss(profile, frequency);
+        case 'epstein-peterson':
+            return epsteinPetersonLoss(profile, frequency);
+        case 'deygout':
+            return deygoutLoss(profile, frequency);
+        default:
+            throw new Error('Unknown diffraction model: ' + model);
+    }
+}
+
+//attenuation model and its parameters per land-cover class, used for the classes missing in the landCoverLoss option of calcRadPatternWithObstacles
+const LAND_COVER_LOSS_DEFAULTS = {
+    forest: {model: 'weissberger'},
+    urban: {model: 'linear', attenuation: 0.05, maxLoss: 20},
+    suburban: {model: 'linear', attenuation: 0.02, maxLoss: 10},
+    water: {model: 'none'},
+    open: {model: 'none'}
+};
+
+/**
+ Calculates the foliage loss of Weissberger's modified exponential decay model
+ @param {number} depth: path length through the foliage in meters, the model is valid up to 400 m
+ @param {number} frequency: frequency in GHz, the model is valid from 0.23 to 95 GHz
+ @returns {number} loss in dB
+ */
+function weissbergerLoss(depth, frequency) {
+    if (depth <= 14) {
+        return 0.45 * Math.pow(frequency, 0.284) * depth;
+    }
+    return 1.33 * Math.pow(frequency, 0.284) * Math.pow(Math.min(depth, 400), 0.588);
+}
+
+/**
+ Calculates the excess loss of a terrestrial path through woodland according to ITU-R P.833
+ @param {number} depth: path length through the woodland in meters
+ @param {number} frequency: frequency in GHz
+ @param {{specificAttenuation: number, maxAttenuationFactor: number, maxAttenuationExponent: number}} parameters:
+ specificAttenuation: attenuation of very short paths in dB/m (figure 1 of the recommendation), defaults to 0.3,
+ maxAttenuationFactor, maxAttenuationExponent: A1 and alpha of the maximum attenuation A1 * f^alpha (f in MHz), default to 0.18 and 0.752
+ @returns {number} loss in dB
+ */
+function ituRP833Loss(depth, frequency, parameters = {}) {
+    const specificAttenuation = parameters.specificAttenuation || 0.3;
+    const maxAttenuation = (parameters.maxAttenuationFactor || 0.18) * Math.pow(frequency * 1000, parameters.maxAttenuationExponent || 0.752);
+    return maxAttenuation * (1 - Math.exp(-depth * specificAttenuation / maxAttenuation));
+}
+
+/**
+ Calculates the attenuation of the given land-cover class
+ @param {{model: string, attenuation: number, maxLoss: number}} classLoss: attenuation model of the class, one of 'weissberger', 'itu-r-p833',
+ 'linear' (attenuation in dB/m, limited to maxLoss in dB) or 'none', with its parameters
+ @param {number} depth: path length through the class in meters
+ @param {number} frequency: frequency in GHz
+ @returns {number} loss in dB
+ */
+function landCoverLoss(classLoss, depth, frequency) {
+    switch (classLoss.model) {
+        case 'weissberger':
+            return weissbergerLoss(depth, frequency);
+        case 'itu-r-p833':
+            return ituRP833Loss(depth, frequency, classLoss);
+        case 'linear':
+            return Math.min(classLoss.attenuation * depth, classLoss.maxLoss !== undefined ? classLoss.maxLoss : Infinity);
+        case 'none':
+            return 0;
+        default:
+            throw new Error('Unknown land-cover loss model: ' + classLoss.model);
+    }
+}
+
+/**
+ Evaluates the coverage along one radial of the transmitting antenna from its sampled terrain, without access to the page,
+ so it can run in a Web Worker (see createCoverageWorkerPool).
+ @param {{antennaAngle: number, points: {latLng: number[], height: number, distance: number, clutterHeight: number, landCover: string}[]}} radial: horizontal angle relative to the pointing direction
+ and the terrain elevation of the points along the radial, starting with the position of the transmitting antenna,
+ with the optional height of the clutter on top of the terrain, which is an obstacle for the points behind it, and the optional land-cover class
+ @param {{pattern: object, gainRXAntenna: number, outputPowerTXAntenna: number, sensitivityRXAntenna: number, elevationTXAntenna: number,
+ heightTXAntenna: number, heightRXAntenna: number, frequency: number, kFactor: number, diffractionModel: string, propagationModel: string, propagationParameters: object,
+ mechanicalDowntilt: number, electricalDowntilt: number, landCoverLoss: object}} parameters: specifications of both antennas and options of calcRadPatternWithObstacles
+ @returns {{good: number[][], okay: number[][], bad: number[][], signalStrength: number[][]}} good, okay and badly reachable points [[lat,long]]
+ and all reachable points with their received power in dBm [[lat,long,power]]
+ */
+function evaluateRadial(radial, parameters) {
+    const p = parameters;
+    let result = {good: [], okay: [], bad: [], signalStrength: []};
+
+    //always has the antenna position as first point
+    let anglePoints = [radial.points[0]];
+    //path length through each land-cover class up to the current point
+    let landCoverDepths = {};
+
+    for (let i = 1; i < radial.points.length; i++) {
+        if (i > 1 && radial.points[i - 1].clutterHeight) {
+            //the clutter of the previous point obstructs this and all further points
+            anglePoints[i - 1] = {
+                latLng: radial.points[i - 1].latLng,
+                height: radial.points[i - 1].height + radial.points[i - 1].clutterHeight,
+                distance: radial.points[i - 1].distance
+            };
+        }
+        let newPoint = radial.points[i].latLng;
+        let distance = radial.points[i].distance;
+        let elevationRXAntenna = radial.points[i].height + p.heightRXAntenna;
+
+        let lineOfSightClear = isPathUnobstructed(anglePoints, p.elevationTXAntenna, elevationRXAntenna, distance, p.frequency, 0, p.kFactor);
+        anglePoints.push(radial.points[i]);
+        let landCover = radial.points[i].landCover;
+        if (landCover !== undefined) {
+            landCoverDepths[landCover] = (landCoverDepths[landCover] || 0) + distance - radial.points[i - 1].distance;
+        }
+        let pathLoss = propagationLoss(p.propagationModel, {
+            profile: anglePoints,
+            distance: distance,
+            frequency: p.frequency,
+            heightTXAntenna: p.heightTXAntenna,
+            heightRXAntenna: p.heightRXAntenna,
+            kFactor: p.kFactor,
+            parameters: p.propagationParameters
+        }) - p.gainRXAntenna
+            - patternGain(p.pattern, radial.antennaAngle, depressionAngle(p.elevationTXAntenna, elevationRXAntenna, distance, p.kFactor), p.mechanicalDowntilt, p.electricalDowntilt);
+        for (const landCoverClass in landCoverDepths) {
+            pathLoss += landCoverLoss((p.landCoverLoss || {})[landCoverClass] || LAND_COVER_LOSS_DEFAULTS[landCoverClass] || {model: 'none'},
+                landCoverDepths[landCoverClass], p.frequency);
+        }
+        //terrain aware models like 'itm' already include the diffraction loss of the obstacles
+        if (!lineOfSightClear && !isTerrainAwarePropagationModel(p.propagationModel)) {
+            if (p.diffractionModel) {
+                //line of sight obstructed, but the signal might still be strong enough with the diffraction loss
+                pathLoss += diffractionLoss(anglePoints, p.elevationTXAntenna, elevationRXAntenna, distance, p.frequency, p.kFactor, p.diffractionModel);
+            } else {
+                //models without terrain, like free space propagation, require a clear line of sight
+                pathLoss = Infinity;
+            }
+        }
+        let reachable = pathLoss <= p.outputPowerTXAntenna + p.sensitivityRXAntenna;
+
+        if (reachable) {
+            result.signalStrength.push(newPoint.concat(p.outputPowerTXAntenna - pathLoss));
+            if (!lineOfSightClear) {
+                //line of sight obstructed, but the signal is strong enough behind the obstacles
+                result.bad.push(newPoint);
+            } else if (isPathUnobstructed(anglePoints, p.elevationTXAntenna, elevationRXAntenna, distance, p.frequency, 1, p.kFactor)) {
+                if (isPathUnobstructed(anglePoints, p.elevationTXAntenna, elevationRXAntenna, distance, p.frequency, 2, p.kFactor)) {
+                    //no obstruction
+                    result.good.push(newPoint);
+                } else {
+                    //only outer fresnel zone obstructed
+                    result.okay.push(newPoint);
+                }
+            } else {
+                //both fresnel zones obstructed, but line of sight is clear
+                result.bad.push(newPoint);
+            }
+        }
+    }
+    return result;
+}
+
+/**
+ Creates a pool of Web Workers which evaluate the radials of coverage calculations, see the workerPool option of calcRadPatternWithObstacles.
+ The pool can be shared by the calculations of several antennas, which then run in parallel.
+ @param {string} workerScript: path of Leaflet.Antenna.Worker.js, which has to be next to Leaflet.Antenna.js and Leaflet.Antenna.ITM.js
+ @param {number} [size]: number of workers, defaults to the number of logical processors
+ @param {string[]} [extraScripts]: scripts loaded by every worker after the library, e.g. to register custom propagation models there as well
+ @returns {{evaluate: function(object[], object, AbortSignal=): Promise<object[]>, terminate: function()}} evaluate: evaluates the radials with the parameters
+ of evaluateRadial, rejects with the reason of the optional signal when it is aborted and drops the radials not yet sent to a worker,
+ terminate: stops all workers and rejects all queued and running evaluations
+ */
+function createCoverageWorkerPool(workerScript, size = navigator.hardwareConcurrency || 4, extraScripts = []) {
+    let workers = [];
+    let queue = [];
+
+    function dispatch() {
+        for (const worker of workers) {
+            if (!worker.task && queue.length > 0) {
+                worker.task = queue.shift();
+                worker.postMessage({radials: worker.task.radials, parameters: worker.task.parameters});
+            }
+        }
+    }
+
+    for (let i = 0; i < size; i++) {
+        let worker = new Worker(workerScript);
+        worker.onmessage = event => {
+            const task = worker.task;
+            worker.task = undefined;
+            if (!task) {
+                return;
+            }
+            if (event.data.error) {
+                task.reject(new Error(event.data.error));
+            } else {
+                task.resolve(event.data.results);
+            }
+            dispatch();
+        };
+        worker.onerror = event => {
+            const task = worker.task;
+            worker.task = undefined;
+            if (task) {
+                task.reject(new Error(event.message));
+            }
+            dispatch();
+        };
+        if (extraScripts.length > 0) {
+            worker.postMessage({importScripts: extraScripts});
+        }
+        workers.push(worker);
+    }
+
+    let terminated = false;
+    return {
+        evaluate: function (radials, parameters, signal) {
+            return new Promise((resolve, reject) => {
+                if (terminated) {
+                    reject(new Error('Worker pool terminated'));
+                    return;
+                }
+                if (signal) {
+                    signal.throwIfAborted();
+                }
+                let task = {radials: radials, parameters: parameters};
+                const onAbort = () => {
+                    //a radial already sent to a worker can't be recalled, its result is ignored
+                    queue = queue.filter(queuedTask => queuedTask !== task);
+                    reject(signal.reason);
+                };
+                task.resolve = results => {
+                    if (signal) {
+                        signal.removeEventListener('abort', onAbort);
+                    }
+                    resolve(results);
+                };
+                task.reject = error => {
+                    if (signal) {
+                        signal.removeEventListener('abort', onAbort);
+                    }
+                    reject(error);
+                };
+                if (signal) {
+                    signal.addEventListener('abort', onAbort, {once: true});
+                }
+                queue.push(task);
+                dispatch();
+            });
+        },
+        terminate: function () {
+            terminated = true;
+            const error = new Error('Worker pool terminated');
+            for (const worker of workers) {
+                worker.terminate();
+                if (worker.task) {
+                    worker.task.reject(error);
+                    worker.task = undefined;
+                }
+            }
+            for (const task of queue) {
+                task.reject(error);
+            }
+            queue = [];
+            workers = [];
+        }
+    };
+}
+
+/**
+ Returns the elevation provider used without the elevationProvider option, which reads the global colorPicker tile layer (see getElevationAtPointRGB)
+ @returns {{getElevations: function(number[][]): Promise<number[]>}} elevation provider
+ */
+function colorPickerElevationProvider() {
+    return {getElevations: locations => Promise.all(locations.map(getElevationAtPointRGB))};
+}
+
+/**
+ Calculates antenna coverage of the given transmitting antenna relative to a receiving antenna and obstacles.
  @param {number[]} antCords: the origin point of the antenna [lat,long], e.g. [51.33849, 12.40729]
  @param {number} antPointDir: the direction the antenna is pointing at in degrees, e.g. 0 (facing north)
- @param {number} antInstallHeight: the height above ground both antennas ar installed at
+ @param {number} antInstallHeight: the height above ground the transmitting antenna is installed at
  @param {{ant_file: string,frequency: number,gain: number,output_power: number, profile_name: string, sensitivity: number}} antProfile: specifications of the antenna
- @returns {Number[][]} lists of reachable, unreachable and border points (with distance to antCords) of the radiation pattern [[(lat,long)]]
+ @param {{rxProfile: object, mechanicalDowntilt: number, electricalDowntilt: number, kFactor: number, diffractionModel: string, propagationModel: string, propagationParameters: object, workerPool: object,
+ elevationProvider: object, clutter: object, landCover: object, landCoverLoss: object, signal: AbortSignal, onProgress: function(object), onRadial: function(number, object)}} [options]:
+ rxProfile: specifications of the receiving antenna {gain: number, sensitivity: number, install_height: number, cable_loss: number, ant_file: string},
+ gain in dBi, sensitivity in dBm, install_height above ground in meters, cable_loss in dB (optional), ant_file: pattern of the receiving antenna (optional),
+ which is assumed to point at the transmitting antenna; the receiving antenna is equally specified as the transmitting antenna if not set,
+ mechanicalDowntilt, electricalDowntilt: downtilt of the transmitting antenna in degrees, applied to its vertical pattern,
+ kFactor: effective earth radius factor used for all obstruction checks, defaults to 4/3 (standard atmosphere), e.g. 2/3 for sub-refractive conditions,
+ diffractionModel: if set, the diffraction loss of this model (see diffractionLoss) is added to the path loss of points with an obstructed line of sight,
+ unless the propagation model is terrain aware (see registerPropagationModel) and includes the diffraction loss itself,
+ propagationModel: name of a registered propagation model (see registerPropagationModel), defaults to the propagation_model of antProfile or 'free-space',
+ which requires a clear line of sight unless a diffractionModel is set,
+ propagationParameters: model specific parameters, defaults to the propagation_parameters of antProfile, e.g. the itmParameters of itmPointToPoint for 'itm',
+ workerPool: if set, the terrain is sampled on the page and the radials are evaluated by the workers of the pool (see createCoverageWorkerPool),
+ the page stays responsive in the meantime,
+ elevationProvider: terrain elevation lookup {getElevations(locations) => Promise<number[]>} (see Leaflet.Antenna.Elevation.js), called once per radial,
+ defaults to the Terrain-RGB tiles of the global colorPicker tile layer,
+ clutter: heights of buildings, forests etc. on top of the terrain {getHeights(locations, terrainElevations) => Promise<number[]>} (see Leaflet.Antenna.Clutter.js),
+ which obstruct the line of sight and fresnel zones of the points behind them, the receiving antenna stays at its install height above the terrain,
+ landCover: land-cover class lookup {getClasses(locations) => Promise<string[]>} (see createLandCoverProvider), the attenuation of each class along the path
+ is added to the path loss, scaled by the path length through the class,
+ landCoverLoss: attenuation model per land-cover class (see landCoverLoss), e.g. {forest: {model: 'itu-r-p833'}}, defaults to LAND_COVER_LOSS_DEFAULTS,
+ signal: cancels the calculation when aborted, which then rejects with the reason of the signal (an AbortError by default),
+ onProgress: called after every evaluated radial with {radialsDone, radialsTotal, pointsSampled, estimatedTimeLeft}, the estimated time left in milliseconds,
+ onRadial: called with the horizontal angle relative to antPointDir and the partial result of every evaluated radial {good, okay, bad, signalStrength} (see evaluateRadial)
+ @returns {Number[][]} lists of reachable, unreachable and border points (with distance to antCords) of the radiation pattern [[(lat,long)]],
+ followed by all reachable points with their predicted received power in dBm [[lat,long,power]]
  */
-async function calcRadPatternWithObstacles(antCords, antPointDir, antInstallHeight, antProfile) {
+async function calcRadPatternWithObstacles(antCords, antPointDir, antInstallHeight, antProfile, options = {}) {
+
+    //specifications of the receiving antenna
+    const rxProfile = options.rxProfile || {gain: antProfile.gain, sensitivity: antProfile.sensitivity, install_height: antInstallHeight};
 
     //the directory of the .ant file of the antenna
     let antFile = antProfile.ant_file,
         //output power of the transmitting antenna in dBm
         outputPowerTXAntenna = antProfile.output_power,
         //sensitivity of the receiving antenna in dBm
-        sensitivityRXAntenna = antProfile.sensitivity,
-        //gain of the receiving antenna in dBi
-        gainRXAntenna = antProfile.gain,
+        sensitivityRXAntenna = rxProfile.sensitivity,
+        //gain of the receiving antenna in dBi, reduced by its cable loss
+        gainRXAntenna = rxProfile.gain - (rxProfile.cable_loss || 0),
+        //height above ground of the receiving antenna
+        rxInstallHeight = rxProfile.install_height !== undefined ? rxProfile.install_height : antInstallHeight,
         //frequency both antennas operate on in GHz
-        frequency = antProfile.frequency;
+        frequency = antProfile.frequency,
+        //effective earth radius factor
+        kFactor = options.kFactor || 4 / 3,
+        //name of the registered propagation model and its parameters
+        propagationModel = options.propagationModel || antProfile.propagation_model || 'free-space',
+        propagationParameters = options.propagationParameters || antProfile.propagation_parameters || {},
+        //pool of Web Workers evaluating the radials
+        workerPool = options.workerPool,
+        //terrain elevation lookup, falls back to the global colorPicker tile layer
+        elevationProvider = options.elevationProvider || colorPickerElevationProvider(),
+        //heights of buildings, forests etc. on top of the terrain
+        clutter = options.clutter,
+        //land-cover classes attenuating the signal
+        landCover = options.landCover,
+        //cancellation and progress reporting
+        signal = options.signal,
+        onProgress = options.onProgress,
+        onRadial = options.onRadial;
     //TODO: define defaults
 
-    const radiationIDif = await parseAntFile(antFile);
-    const outerBorder = calcRadPatternBorder(antCords, antPointDir, radiationIDif, outputPowerTXAntenna, sensitivityRXAntenna, gainRXAntenna, frequency);
-    // const elevationTXAntenna = await getElevationAtPointRGB(antCords) + installHeight;
-    const elevationTXAntenna = await getElevationAtPointRGB(antCords) + antInstallHeight;
+    if (signal) {
+        signal.throwIfAborted();
+    }
+    const radiationPattern = antProfile.pattern || await parseAntennaPattern(antFile, antProfile.ant_format);
+    if (rxProfile.pattern || rxProfile.ant_file) {
+        //the receiving antenna points at the transmitting antenna
+        gainRXAntenna += patternGain(rxProfile.pattern || await parseAntennaPattern(rxProfile.ant_file, rxProfile.ant_format), 0, 0);
+    }
+    //the transmitting antenna only adds the value of its pattern, the gain of its profile is the default gain of the receiving antenna
+    const outerBorder = calcRadPatternBorder(antCords, antPointDir, radiationPattern.horizontal, outputPowerTXAntenna, sensitivityRXAntenna, gainRXAntenna, frequency, {
+        model: propagationModel,
+        parameters: propagationParameters,
+        heightTXAntenna: antInstallHeight,
+        heightRXAntenna: rxInstallHeight,
+        kFactor: kFactor
+    });
+    const elevationTXAntenna = (await elevationProvider.getElevations([antCords]))[0] + antInstallHeight;
 
-    let goodReachablePoints = [];
-    let okayReachablePoints = [];
-    let badlyReachablePoints = [];
+    const parameters = {
+        pattern: radiationPattern,
+        gainRXAntenna: gainRXAntenna,
+        outputPowerTXAntenna: outputPowerTXAntenna,
+        sensitivityRXAntenna: sensitivityRXAntenna,
+        elevationTXAntenna: elevationTXAntenna,
+        heightTXAntenna: antInstallHeight,
+        heightRXAntenna: rxInstallHeight,
+        frequency: frequency,
+        kFactor: kFactor,
+        //model for the extra loss behind obstacles, points with obstructed line of sight are discarded without one
+        diffractionModel: options.diffractionModel,
+        propagationModel: propagationModel,
+        propagationParameters: propagationParameters,
+        //downtilt of the transmitting antenna in degrees
+        mechanicalDowntilt: options.mechanicalDowntilt || 0,
+        electricalDowntilt: options.electricalDowntilt || 0,
+        //attenuation model per land-cover class
+        landCoverLoss: options.landCoverLoss
+    };
 
-    let elevationAllPoints = [];
+    let radialResults = [];
+    let radialsDone = 0;
+    let pointsSampled = 0;
+    const startTime = Date.now();
+    //reports an evaluated radial, unless the calculation was cancelled in the meantime
+    const radialDone = (antennaAngle, result) => {
+        if (signal && signal.aborted) {
+            return result;
+        }
+        radialsDone++;
+        if (onRadial) {
+            onRadial(antennaAngle, result);
+        }
+        if (onProgress) {
+            onProgress({
+                radialsDone: radialsDone,
+                radialsTotal: 360,
+                pointsSampled: pointsSampled,
+                estimatedTimeLeft: (Date.now() - startTime) / radialsDone * (360 - radialsDone)
+            });
+        }
+        return result;
+    };
     //distance between two points in meters
     let stepSize = 50;
     for (let antennaAngle = 0; antennaAngle < 360; antennaAngle++) {
 
         //always has antCords as first point
-        // let anglePoints = [{lat: antCords[0], lng: antCords[1], count: elevationTXAntenna}];
-        let anglePoints = [{latLng: antCords, height: elevationTXAntenna}];
-        let elevationMax = elevationTXAntenna;
+        let radial = {antennaAngle: antennaAngle, points: [{latLng: antCords, height: elevationTXAntenna - antInstallHeight, distance: 0}]};
 
+        let distances = [];
         for (let distance = stepSize; distance <= outerBorder[antennaAngle][2]; distance += stepSize) {
-            let newPoint = destination(antCords, antPointDir + antennaAngle, distance);
-            let elevationAtPoint = await getElevationAtPointRGB(newPoint);
-            let newPointWithHeight = {latLng: newPoint, height: elevationAtPoint};
-
-            if (elevationAtPoint >= elevationMax) {
-                //line of sight not obstructed
-                elevationMax = elevationAtPoint;
-                goodReachablePoints.push(newPoint);
-            } else {
-                //check if all previous points are under current line of sight
-                function underLineOfSight(element, index) {
-                    //y = mx+n , m: slopeLineOfSight, n: elevationTXAntenna
-                    let slopeLineOfSight = (elevationAtPoint + antInstallHeight - elevationTXAntenna) / distance;
-                    return element.height <= slopeLineOfSight * (index * stepSize) + elevationTXAntenna;
+            distances.push(distance);
+        }
+        let newPoints = distances.map(distance => destination(antCords, antPointDir + antennaAngle, distance));
+        let elevations = await elevationProvider.getElevations(newPoints);
+        let clutterHeights = clutter ? await clutter.getHeights(newPoints, elevations) : [];
+        let landCoverClasses = landCover ? await landCover.getClasses(newPoints) : [];
+        for (let i = 0; i < newPoints.length; i++) {
+            radial.points.push({
+                latLng: newPoints[i],
+                height: elevations[i],
+                distance: distances[i],
+                clutterHeight: clutterHeights[i] || 0,
+                landCover: landCoverClasses[i]
+            });
+        }
+        pointsSampled += newPoints.length;
+        if (signal) {
+            signal.throwIfAborted();
+        }
+
+        if (workerPool) {
+            const radialResult = workerPool.evaluate([radial], parameters, signal).then(results => radialDone(antennaAngle, results[0]));
+            //rejected by an abort or a terminated pool before Promise.all handles it
+            radialResult.catch(() => undefined);
+            radialResults.push(radialResult);
+        } else {
+            radialResults.push(radialDone(antennaAngle, evaluateRadial(radial, parameters)));
+        }
+        if (workerPool || signal || onProgress || onRadial) {
+            //let the page handle its events between the radials, e.g. to draw the progress or cancel the calculation
+            await new Promise(resolve => setTimeout(resolve));
+        }
+    }
+
+    let allRadialResults = Promise.all(radialResults);
+    if (signal) {
+        //stop waiting for the workers when the calculation is cancelled
+        allRadialResults = Promise.race([allRadialResults, new Promise((resolve, reject) => {
+            signal.throwIfAborted();
+            signal.addEventListener('abort', () => reject(signal.reason), {once: true});
+        })]);
+    }
+    let goodReachablePoints = [];
+    let okayReachablePoints = [];
+    let badlyReachablePoints = [];
+    let signalStrengthPoints = [];
+    for (const result of await allRadialResults) {
+        goodReachablePoints.push(...result.good);
+        okayReachablePoints.push(...result.okay);
+        badlyReachablePoints.push(...result.bad);
+        signalStrengthPoints.push(...result.signalStrength);
+    }
+    return [goodReachablePoints, okayReachablePoints, badlyReachablePoints, outerBorder, signalStrengthPoints];
+}
+
+/**
+ Calculates the link budget of a point-to-point link between two installed antennas, e.g. an entry of antenna_links of the network file.
+ The path loss is assumed to be equal in both directions.
+ @param {{position: number[], point_dir: number, install_height: number, profile: object, mechanical_downtilt: number, electrical_downtilt: number}} antennaFrom:
+ installed antenna at one end as returned by parseNetworkJSONFile
+ @param {{position: number[], point_dir: number, install_height: number, profile: object, mechanical_downtilt: number, electrical_downtilt: number}} antennaTo:
+ installed antenna at the other end
+ @param {{elevationProvider: object, clutter: object, landCover: object, landCoverLoss: object, kFactor: number, diffractionModel: string,
+ propagationModel: string, propagationParameters: object, stepSize: number}} [options]: options as for calcRadPatternWithObstacles,
+ the diffractionModel defaults to 'deygout' so obstructed links get a finite path loss, it isn't added to the loss of terrain aware propagation models like 'itm', stepSize: distance between the sampled points of the terrain profile in meters, defaults to 25
+ @returns {Promise<{distance: number, frequency: number, kFactor: number, elevationFrom: number, elevationTo: number, pathLoss: number, freeSpaceLoss: number,
+ lineOfSightClear: boolean, fresnelClearance: number, from: object, to: object, profile: object[]}>} distance in meters, frequency in GHz and kFactor of the calculation,
+ elevation of both antennas (terrain and install height), path loss in dB without antenna gains, clearance of the first fresnel zone in percent of its radius
+ at the most obstructed point (60 % are usually required, at most 100, negative if the line of sight is obstructed), for both ends (from, to): azimuth towards the partner (degrees from north), elevationAngle towards the partner
+ (degrees above the horizon), patternGain towards the partner relative to the maximum gain, gain in dBi towards the partner reduced by the cable loss,
+ receivedPower of the signal of the partner in dBm and fadeMargin above the sensitivity in dB; the terrain profile [{latLng, height, distance, clutterHeight}] from antennaFrom
+ */
+async function calcLinkBudget(antennaFrom, antennaTo, options = {}) {
+    const elevationProvider = options.elevationProvider || colorPickerElevationProvider(),
+        kFactor = options.kFactor || 4 / 3,
+        diffractionModel = options.diffractionModel || 'deygout',
+        propagationModel = options.propagationModel || antennaFrom.profile.propagation_model || 'free-space',
+        propagationParameters = options.propagationParameters || antennaFrom.profile.propagation_parameters || {},
+        stepSize = options.stepSize || 25;
+    const frequency = antennaFrom.profile.frequency;
+    const distance = distanceBetween(antennaFrom.position, antennaTo.position);
+    const azimuthFrom = bearing(antennaFrom.position, antennaTo.position),
+        azimuthTo = bearing(antennaTo.position, antennaFrom.position);
+
+    //terrain profile along the link, including both ends
+    const pointCount = Math.max(10, Math.ceil(distance / stepSize));
+    let distances = [];
+    for (let i = 0; i <= pointCount; i++) {
+        distances.push(distance * i / pointCount);
+    }
+    const locations = distances.map(pointDistance => destination(antennaFrom.position, azimuthFrom, pointDistance));
+    const elevations = await elevationProvider.getElevations(locations);
+    const clutterHeights = options.clutter ? await options.clutter.getHeights(locations, elevations) : [];
+    const landCoverClasses = options.landCover ? await options.landCover.getClasses(locations) : [];
+    const profile = locations.map((location, i) => ({latLng: location, height: elevations[i], distance: distances[i], clutterHeight: clutterHeights[i] || 0}));
+    //obstacles between both ends, including their clutter
+    const obstacles = profile.slice(1, -1).map(point => ({height: point.height + point.clutterHeight, distance: point.distance}));
+
+    const elevationFrom = elevations[0] + antennaFrom.install_height,
+        elevationTo = elevations[pointCount] + antennaTo.install_height;
+    const lineOfSightClear = isPathUnobstructed(obstacles, elevationFrom, elevationTo, distance, frequency, 0, kFactor);
+    let fresnelClearance = 100;
+    for (const obstacle of obstacles) {
+        const lineOfSight = elevationFrom + (elevationTo - elevationFrom) * obstacle.distance / distance;
+        const clearance = (lineOfSight - obstacle.height - earthBulge(obstacle.distance, distance, kFactor))
+            / fresnelZoneRadius(1, obstacle.distance, distance, frequency) * 100;
+        fresnelClearance = Math.min(fresnelClearance, clearance);
+    }
+
+    let pathLoss = propagationLoss(propagationModel, {
+        profile: [profile[0]].concat(obstacles, [profile[pointCount]]),
+        distance: distance,
+        frequency: frequency,
+        heightTXAntenna: antennaFrom.install_height,
+        heightRXAntenna: antennaTo.install_height,
+        kFactor: kFactor,
+        parameters: propagationParameters
+    });
+    if (!lineOfSightClear && !isTerrainAwarePropagationModel(propagationModel)) {
+        pathLoss += diffractionLoss(obstacles, elevationFrom, elevationTo, distance, frequency, kFactor, diffractionModel);
+    }
+    let landCoverDepths = {};
+    for (let i = 1; i <= pointCount; i++) {
+        if (landCoverClasses[i] !== undefined) {
+            landCoverDepths[landCoverClasses[i]] = (landCoverDepths[landCoverClasses[i]] || 0) + distances[i] - distances[i - 1];
+        }
+    }
+    for (const landCoverClass in landCoverDepths) {
+        pathLoss += landCoverLoss((options.landCoverLoss || {})[landCoverClass] || LAND_COVER_LOSS_DEFAULTS[landCoverClass] || {model: 'none'},
+            landCoverDepths[landCoverClass], frequency);
+    }
+
+    //gain of an antenna towards its partner, depressionAngle is the angle below the horizon
+    const end = async (antenna, azimuth, elevation, partnerElevation) => {
+        const pattern = antenna.profile.pattern || await parseAntennaPattern(antenna.profile.ant_file, antenna.profile.ant_format);
+        const depression = depressionAngle(elevation, partnerElevation, distance, kFactor);
+        const gainDifference = patternGain(pattern, azimuth - (antenna.point_dir || 0), depression,
+            antenna.mechanical_downtilt || 0, antenna.electrical_downtilt || 0);
+        return {
+            azimuth: azimuth,
+            elevationAngle: -depression,
+            patternGain: gainDifference,
+            gain: antenna.profile.gain + gainDifference - (antenna.profile.cable_loss || 0)
+        };
+    };
+    const from = await end(antennaFrom, azimuthFrom, elevationFrom, elevationTo),
+        to = await end(antennaTo, azimuthTo, elevationTo, elevationFrom);
+    from.receivedPower = antennaTo.profile.output_power + to.gain + from.gain - pathLoss;
+    from.fadeMargin = from.receivedPower + antennaFrom.profile.sensitivity;
+    to.receivedPower = antennaFrom.profile.output_power + from.gain + to.gain - pathLoss;
+    to.fadeMargin = to.receivedPower + antennaTo.profile.sensitivity;
+
+    return {
+        distance: distance,
+        frequency: frequency,
+        kFactor: kFactor,
+        elevationFrom: elevationFrom,
+        elevationTo: elevationTo,
+        pathLoss: pathLoss,
+        freeSpaceLoss: freeSpacePathLoss(distance, frequency, 0, 0),
+        lineOfSightClear: lineOfSightClear,
+        fresnelClearance: fresnelClearance,
+        from: from,
+        to: to,
+        profile: profile
+    };
+}
+
+/**
+ Classifies a link by its link budget
+ @param {object} budget: link budget as returned by calcLinkBudget
+ @param {number} [requiredClearance]: clearance of the first fresnel zone in percent required for a clear link, defaults to 60
+ @returns {string} 'out-of-range' if the received power is below the sensitivity at either end, 'blocked' if the line of sight is obstructed,
+ 'fresnel-obstructed' if the first fresnel zone is not clear enough, else 'clear'
+ */
+function linkQuality(budget, requiredClearance = 60) {
+    if (budget.from.fadeMargin < 0 || budget.to.fadeMargin < 0) {
+        return 'out-of-range';
+    }
+    if (!budget.lineOfSightClear) {
+        return 'blocked';
+    }
+    if (budget.fresnelClearance < requiredClearance) {
+        return 'fresnel-obstructed';
+    }
+    return 'clear';
+}
+
+/**
+ Merges the coverage of several antennas into one grid, each cell with the strongest received power and the best-serving antenna
+ @param {Object<string, number[][]>} signalStrengthPoints: reachable points with their received power in dBm [[lat,long,power]] per antenna name,
+ as returned by calcRadPatternWithObstacles as fifth list
+ @param {number} [cellSize]: size of the grid cells in meters, defaults to 50 (the distance between the points of calcRadPatternWithObstacles)
+ @returns {{latLng: number[], power: number, server: string, powers: Object<string, number>}[]} cells covered by any antenna with their center,
+ the strongest received power in dBm, the name of the antenna it is received from and the strongest received power of every antenna covering the cell
+ */
+function mergeCoverage(signalStrengthPoints, cellSize = 50) {
+    let cells = new Map();
+    //cell size in degrees, the longitude at the latitude of the first point
+    let latitudeStep, longitudeStep;
+    for (const name in signalStrengthPoints) {
+        for (const [lat, lng, power] of signalStrengthPoints[name]) {
+            if (latitudeStep === undefined) {
+                latitudeStep = cellSize / 111320;
+                longitudeStep = cellSize / (111320 * Math.cos(lat * Math.PI / 180));
+            }
+            const row = Math.floor(lat / latitudeStep),
+                column = Math.floor(lng / longitudeStep);
+            const key = row + ':' + column;
+            let cell = cells.get(key);
+            if (!cell) {
+                cell = {latLng: [(row + 0.5) * latitudeStep, (column + 0.5) * longitudeStep], power: -Infinity, server: undefined, powers: {}};
+                cells.set(key, cell);
+            }
+            if (!(cell.powers[name] >= power)) {
+                cell.powers[name] = power;
+            }
+            if (power > cell.power) {
+                cell.power = power;
+                cell.server = name;
+            }
+        }
+    }
+    return Array.from(cells.values());
+}
+
+/**
+ Returns the center frequency of a WLAN channel
+ @param {number} channel: channel number, e.g. 6 or 36
+ @param {number} band: frequency band in GHz, e.g. the frequency of the antenna profile (2.4, 5 or 6)
+ @returns {number} center frequency in MHz, e.g. 2437 for channel 6 in the 2.4 GHz band
+ */
+function channelFrequency(channel, band) {
+    if (band < 3) {
+        return channel === 14 ? 2484 : 2407 + 5 * channel;
+    } else if (band < 5.9) {
+        return 5000 + 5 * channel;
+    } else if (band < 7.2) {
+        return 5950 + 5 * channel;
+    }
+    throw new Error('Unknown channel band: ' + band);
+}
+
+/**
+ Calculates how much of the power of an interfering channel is received in the channel of a signal
+ @param {{frequency: number, bandwidth: number}} signalChannel: center frequency and bandwidth in MHz of the received channel
+ @param {{frequency: number, bandwidth: number}} interfererChannel: center frequency and bandwidth in MHz of the interfering channel
+ @param {number} [adjacentChannelRejection]: rejection of a directly adjacent channel in dB, defaults to 20
+ @returns {number} rejection in dB, 0 for the same channel, Infinity for channels further apart than the adjacent channel
+ */
+function channelRejection(signalChannel, interfererChannel, adjacentChannelRejection = 20) {
+    const overlap = Math.min(signalChannel.frequency + signalChannel.bandwidth / 2, interfererChannel.frequency + interfererChannel.bandwidth / 2)
+        - Math.max(signalChannel.frequency - signalChannel.bandwidth / 2, interfererChannel.frequency - interfererChannel.bandwidth / 2);
+    if (overlap > 0) {
+        //co-channel, only the overlapping part of the interfering channel is received
+        return -10 * Math.log10(Math.min(1, overlap / interfererChannel.bandwidth));
+    } else if (-overlap < signalChannel.bandwidth) {
+        return adjacentChannelRejection;
+    }
+    return Infinity;
+}
+
+/**
+ Calculates the thermal noise power of a receiver
+ @param {number} bandwidth: bandwidth in MHz
+ @param {number} [noiseFigure]: noise figure of the receiver in dB, defaults to 7
+ @returns {number} noise power in dBm
+ */
+function thermalNoise(bandwidth, noiseFigure = 7) {
+    return -174 + 10 * Math.log10(bandwidth * 1e6) + noiseFigure;
+}
+
+/**
+ Calculates the signal to interference and noise ratio of the cells of a composite network coverage,
+ the best-serving antenna of a cell is the signal, all other antennas on the same or adjacent channels are interference
+ @param {{latLng: number[], power: number, server: string, powers: Object<string, number>}[]} cells: cells as returned by mergeCoverage
+ @param {Object<string, {frequency: number, bandwidth: number}>} channels: center frequency and bandwidth in MHz per antenna name,
+ antennas without channel only count as signal
+ @param {{adjacentChannelRejection: number, noiseFigure: number}} [options]: adjacentChannelRejection: see channelRejection, defaults to 20 dB,
+ noiseFigure: see thermalNoise, defaults to 7 dB
+ @returns {{latLng: number[], power: number, server: string, interference: number, noise: number, sinr: number}[]} the cells with
+ the summed received interference in dBm (-Infinity without interferers), the noise power in dBm and the SINR in dB
+ */
+function calcSINR(cells, channels, options = {}) {
+    const adjacentChannelRejection = options.adjacentChannelRejection !== undefined ? options.adjacentChannelRejection : 20;
+    return cells.map(cell => {
+        const signalChannel = channels[cell.server];
+        //powers are summed up in mW
+        let interference = 0;
+        if (signalChannel) {
+            for (const name in cell.powers) {
+                if (name !== cell.server && channels[name]) {
+                    const rejection = channelRejection(signalChannel, channels[name], adjacentChannelRejection);
+                    interference += Math.pow(10, (cell.powers[name] - rejection) / 10);
                 }
-                //check if all previous points are under the inner fresnel zone
-                function underFirstFresnelZone(element, index) {
-                    const distFromTXAntenna = index * stepSize;
-                    //fresnelRadius == Math.sqrt((299792458 * distFromTXAntenna * (distance - distFromTXAntenna)) / (frequency * Math.pow(10, 9) * distance));
-                    //reduced constant part: Math.sqrt(299792458 / Math.pow(10, 9)) == 0.5475331
-                    let fresnelRadius = 0.5475331 * Math.sqrt((distFromTXAntenna * (distance - distFromTXAntenna)) / (frequency * distance));
-                    let slopeLineOfSight = (elevationAtPoint + antInstallHeight - elevationTXAntenna) / distance;
-                    return element.height <= slopeLineOfSight * distFromTXAntenna + elevationTXAntenna - fresnelRadius;
+            }
+        }
+        const noise = thermalNoise(signalChannel ? signalChannel.bandwidth : 20, options.noiseFigure);
+        return {
+            latLng: cell.latLng,
+            power: cell.power,
+            server: cell.server,
+            interference: 10 * Math.log10(interference),
+            noise: noise,
+            sinr: cell.power - 10 * Math.log10(interference + Math.pow(10, noise / 10))
+        };
+    });
+}
+
+/**
+ Weights the cells of a composite network coverage by the number of clients in them, e.g. for optimizeChannels
+ @param {{latLng: number[]}[]} cells: cells as returned by mergeCoverage, modified in place
+ @param {number[][]} clients: locations of the clients [[lat,long]]
+ @param {number} [cellSize]: size of the cells in meters as passed to mergeCoverage, defaults to 50
+ @returns {{latLng: number[], weight: number}[]} the given cells with the number of clients closest to their center as weight,
+ clients further than cellSize from every cell are ignored
+ */
+function weightCellsByClients(cells, clients, cellSize = 50) {
+    //cells indexed by their center in steps of the cell size in degrees latitude
+    const step = cellSize / 111320;
+    let index = new Map();
+    for (const cell of cells) {
+        cell.weight = 0;
+        const key = Math.floor(cell.latLng[0] / step) + ':' + Math.floor(cell.latLng[1] / step);
+        if (!index.has(key)) {
+            index.set(key, []);
+        }
+        index.get(key).push(cell);
+    }
+    for (const client of clients) {
+        const row = Math.floor(client[0] / step),
+            column = Math.floor(client[1] / step);
+        let nearestCell,
+            nearestDistance = cellSize;
+        //cells are wider than step in degrees longitude
+        for (let i = row - 2; i <= row + 2; i++) {
+            for (let j = column - 2; j <= column + 2; j++) {
+                for (const cell of index.get(i + ':' + j) || []) {
+                    const distance = distanceBetween(client, cell.latLng);
+                    if (distance < nearestDistance) {
+                        nearestCell = cell;
+                        nearestDistance = distance;
+                    }
                 }
-                //check if all previous points are under the outer fresnel zone
-                function underSecondFresnelZone(element, index) {
-                    let distFromTXAntenna = index * stepSize;
-                    //fresnelRadius == Math.sqrt((2* 299792458 * distFromTXAntenna * (distance - distFromTXAntenna)) / (frequency * Math.pow(10, 9) * distance));
-                    //reduced constant part: Math.sqrt(2 * 299792458 / Math.pow(10, 9)) == 0.7743287
-                    let fresnelRadius = 0.7743287 * Math.sqrt((distFromTXAntenna * (distance - distFromTXAntenna)) / (frequency * distance));
-                    let slopeLineOfSight = (elevationAtPoint + antInstallHeight - elevationTXAntenna) / distance;
-                    return element.count <= slopeLineOfSight * distFromTXAntenna + elevationTXAntenna - fresnelRadius;
+            }
+        }
+        if (nearestCell) {
+            nearestCell.weight++;
+        }
+    }
+    return cells;
+}
+
+/**
+ Summarizes the interference of a channel assignment over the cells of a composite network coverage
+ @param {{power: number, server: string, powers: Object<string, number>, weight: number}[]} cells: cells as returned by mergeCoverage,
+ weighted by their weight (e.g. see weightCellsByClients) or equally without weight
+ @param {Object<string, {frequency: number, bandwidth: number}>} channels: channel per antenna name, see calcSINR
+ @param {{adjacentChannelRejection: number, noiseFigure: number, minSINR: number}} [options]: options of calcSINR,
+ minSINR: SINR in dB below which a cell counts as interfered, defaults to 10
+ @returns {{cost: number, interferedWeight: number, interferedShare: number, meanSINR: number}} cost: weighted sum of the interference to signal ratios,
+ interferedWeight: weight of the cells with a SINR below minSINR, which would reach minSINR without interference,
+ interferedShare: interferedWeight divided by the weight of all cells, meanSINR: weighted mean SINR in dB
+ */
+function summarizeInterference(cells, channels, options = {}) {
+    const minSINR = options.minSINR !== undefined ? options.minSINR : 10;
+    let cost = 0,
+        interferedWeight = 0,
+        totalWeight = 0,
+        weightedSINR = 0;
+    calcSINR(cells, channels, options).forEach((cell, index) => {
+        const weight = cells[index].weight !== undefined ? cells[index].weight : 1;
+        totalWeight += weight;
+        weightedSINR += weight * cell.sinr;
+        cost += weight * Math.pow(10, (cell.interference - cell.power) / 10);
+        if (cell.sinr < minSINR && cell.power - cell.noise >= minSINR) {
+            interferedWeight += weight;
+        }
+    });
+    return {
+        cost: cost,
+        interferedWeight: interferedWeight,
+        interferedShare: totalWeight > 0 ? interferedWeight / totalWeight : 0,
+        meanSINR: totalWeight > 0 ? weightedSINR / totalWeight : NaN
+    };
+}
+
+/**
+ Assigns channels to the antennas of a network so that they interfere with each other as little as possible.
+ Every antenna gets the allowed channel with the lowest weighted interference to signal ratio in the cells it covers,
+ one antenna after the other until no channel changes.
+ @param {{power: number, server: string, powers: Object<string, number>, weight: number}[]} cells: cells as returned by mergeCoverage,
+ weighted by their weight (e.g. see weightCellsByClients) or by their area without weight
+ @param {Object<string, {frequency: number, bandwidth: number}[]>} allowedChannels: channels (center frequency and bandwidth in MHz) allowed per antenna name
+ @param {Object<string, {frequency: number, bandwidth: number}>} [initialChannels]: current channel per antenna name, antennas without channel don't interfere until assigned
+ @param {{adjacentChannelRejection: number, noiseFigure: number, minSINR: number, maxIterations: number}} [options]: options of summarizeInterference,
+ maxIterations: maximum number of passes over all antennas, defaults to 10
+ @returns {{channels: Object<string, {frequency: number, bandwidth: number}>, before: object, after: object}} the assigned channel per antenna name
+ and the interference before and after the assignment (see summarizeInterference)
+ */
+function optimizeChannels(cells, allowedChannels, initialChannels = {}, options = {}) {
+    const adjacentChannelRejection = options.adjacentChannelRejection !== undefined ? options.adjacentChannelRejection : 20,
+        maxIterations = options.maxIterations || 10;
+    let channels = Object.assign({}, initialChannels);
+    //cells covered by each antenna, only their interference depends on the channel of the antenna
+    let antennaCells = {};
+    for (const cell of cells) {
+        for (const name in cell.powers) {
+            (antennaCells[name] = antennaCells[name] || []).push(cell);
+        }
+    }
+
+    function interferenceCost(cellsOfAntenna) {
+        let cost = 0;
+        for (const cell of cellsOfAntenna) {
+            const signalChannel = channels[cell.server];
+            if (!signalChannel) {
+                continue;
+            }
+            let interference = 0;
+            for (const name in cell.powers) {
+                if (name !== cell.server && channels[name]) {
+                    interference += Math.pow(10, (cell.powers[name] - channelRejection(signalChannel, channels[name], adjacentChannelRejection)) / 10);
                 }
+            }
+            cost += (cell.weight !== undefined ? cell.weight : 1) * interference / Math.pow(10, cell.power / 10);
+        }
+        return cost;
+    }
 
-                //line of sight in all cases not obstructed
-                if (anglePoints.every(underLineOfSight)) {
-                    if (anglePoints.every(underFirstFresnelZone)) {
-                        if (anglePoints.every(underSecondFresnelZone)) {
-                            //no obstruction
-                            goodReachablePoints.push(newPoint);
-                        } else {
-                            //only outer fresnel zone obstructed
-                            okayReachablePoints.push(newPoint);
-                        }
-                    } else {
-                        //both fresnel zones obstructed, but line of sight is clear
-                        badlyReachablePoints.push(newPoint);
-                    }
+    const isSameChannel = (a, b) => a !== undefined && b !== undefined && a.frequency === b.frequency && a.bandwidth === b.bandwidth;
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+        let changed = false;
+        for (const name in allowedChannels) {
+            if (allowedChannels[name].length === 0) {
+                continue;
+            }
+            const currentChannel = channels[name];
+            let bestChannel,
+                bestCost = Infinity;
+            for (const channel of allowedChannels[name]) {
+                channels[name] = channel;
+                const cost = interferenceCost(antennaCells[name] || []);
+                //keep the current channel if it is as good as the others
+                if (cost < bestCost || (cost === bestCost && isSameChannel(channel, currentChannel))) {
+                    bestChannel = channel;
+                    bestCost = cost;
                 }
-                anglePoints.push(newPointWithHeight);
             }
+            channels[name] = bestChannel;
+            if (!isSameChannel(bestChannel, currentChannel)) {
+                changed = true;
+            }
+        }
+        if (!changed) {
+            break;
         }
-        elevationAllPoints = elevationAllPoints.concat(anglePoints);
     }
-    return [goodReachablePoints, okayReachablePoints, badlyReachablePoints, outerBorder];
+    return {
+        channels: channels,
+        before: summarizeInterference(cells, initialChannels, options),
+        after: summarizeInterference(cells, channels, options)
+    };
 }
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {loadScripts, plain} = require('./helpers');
+
+//the parts of Leaflet the best-server layer and drawBestServerCoverage use
+function leaflet() {
+    return {
+        extend: Object.assign,
+        setOptions: (object, options) => (object.options = Object.assign({}, object.options, options)),
+        GridLayer: {MaskCanvas: {extend: properties => Object.assign(function (options) { this.initialize(options); }, {prototype: properties})}},
+        gridLayer: {}
+    };
+}
+
+const omnidirectional = {horizontal: Array(360).fill(0), vertical: Array(360).fill(0)};
+//low output power, so each antenna only covers a few hundred meters
+const antProfile = {profile_name: 'test-AP', output_power: -20, gain: 19, sensitivity: 85, frequency: 2.4, pattern: omnidirectional};
+const flatTerrain = {getElevations: async locations => locations.map(() => 100)};
+
+test('mergeCoverage keeps the strongest antenna of every cell', () => {
+    const context = loadScripts(['Leaflet.Antenna.js']);
+    const cells = plain(context.mergeCoverage({a: [[50, 10, -70], [50.0001, 10, -60]], b: [[50, 10, -65]]}));
+    assert.strictEqual(cells.length, 1);
+    assert.strictEqual(cells[0].server, 'a');
+    assert.strictEqual(cells[0].power, -60);
+    assert.deepStrictEqual(cells[0].powers, {a: -60, b: -65});
+});
+
+test('mergeCoverage puts points into cells of the given size', () => {
+    const context = loadScripts(['Leaflet.Antenna.js']);
+    //about 40 m apart in latitude
+    const points = {a: [[0.0001, 0.0001, -70], [0.00046, 0.0001, -60]]};
+    assert.strictEqual(context.mergeCoverage(points).length, 2);
+    const [cell] = plain(context.mergeCoverage(points, 100));
+    assert.ok(cell.latLng.every(value => Math.abs(value - 50 / 111320) < 1e-9));
+    assert.strictEqual(cell.power, -60);
+});
+
+test('L.GridLayer.BestServer gives every antenna its own color', () => {
+    const context = loadScripts(['L.GridLayer.BestServer.js'], {L: leaflet()});
+    const layer = context.L.gridLayer.bestServer({colors: ['#000001', '#000002'], serverColors: {c: '#ffffff'}});
+    assert.strictEqual(layer.getColor('a'), '#000002');
+    assert.strictEqual(layer.getColor('b'), '#000001');
+    assert.strictEqual(layer.getColor('a'), '#000002');
+    assert.strictEqual(layer.getColor('c'), '#ffffff');
+    //the colors of a layer don't change the colors of other layers
+    assert.strictEqual(context.L.gridLayer.bestServer({colors: ['#000001']}).getColor('c'), '#000001');
+});
+
+test('drawBestServerCoverage draws the merged coverage of all antennas in cells of the given size', async () => {
+    const L = leaflet();
+    const context = loadScripts(['Leaflet.Antenna.js', 'Leaflet.Antenna.Files.js'], {L: L});
+    L.gridLayer.bestServer = options => ({options: options, setData: cells => (L.drawnCells = cells)});
+    let layers = [];
+    const map = {addLayer: layer => layers.push(layer)};
+    //about 300 m apart along the equator
+    const antennaData = [
+        {antenna_name: 'a', position: [0, 0], point_dir: 0, install_height: 10, profile: antProfile},
+        {antenna_name: 'b', position: [0, 0.0027], point_dir: 0, install_height: 10, profile: antProfile},
+        {antenna_name: 'no-profile', position: [0, 0.001], point_dir: 0, install_height: 10}
+    ];
+    const result = await context.drawBestServerCoverage(antennaData, map, {elevationProvider: flatTerrain, cellSize: 100, layerOptions: {opacity: 0.8}});
+
+    assert.deepStrictEqual(Object.keys(result.coverages), ['a', 'b']);
+    assert.deepStrictEqual(layers, [result.layer]);
+    assert.strictEqual(L.drawnCells, result.cells);
+    assert.deepStrictEqual(plain(result.layer.options), {radius: 50, useAbsoluteRadius: true, opacity: 0.8});
+    assert.strictEqual(result.unionLayer, undefined);
+    //each antenna serves the cells next to it
+    const nearest = latLng => result.cells.reduce((nearest, cell) =>
+        Math.hypot(cell.latLng[0] - latLng[0], cell.latLng[1] - latLng[1]) < Math.hypot(nearest.latLng[0] - latLng[0], nearest.latLng[1] - latLng[1]) ? cell : nearest);
+    assert.strictEqual(nearest([0.0005, 0]).server, 'a');
+    assert.strictEqual(nearest([0.0005, 0.0027]).server, 'b');
+    assert.ok(result.cells.every(cell => cell.power === Math.max(...Object.values(cell.powers))));
+});
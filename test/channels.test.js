@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {loadScripts, plain} = require('./helpers');
+
+const context = loadScripts(['Leaflet.Antenna.js']);
+const channel = number => ({channel: number, frequency: context.channelFrequency(number, 2.4), bandwidth: 20});
+
+//three antennas covering the same 40x40 grid, each strongest in another part of it
+function coverage() {
+    let points = {a: [], b: [], c: []};
+    for (let i = 0; i < 40; i++) {
+        for (let j = 0; j < 40; j++) {
+            const lat = 50 + i * 0.0005,
+                lng = 10 + j * 0.0007;
+            points.a.push([lat, lng, -50 - i]);
+            points.b.push([lat, lng, -90 + i]);
+            points.c.push([lat, lng, -50 - j]);
+        }
+    }
+    return context.mergeCoverage(points);
+}
+
+test('optimizeChannels separates overlapping antennas', () => {
+    const allowed = [1, 6, 11].map(channel);
+    const result = context.optimizeChannels(coverage(), {a: allowed, b: allowed, c: allowed}, {a: channel(1), b: channel(1), c: channel(1)});
+    const assigned = ['a', 'b', 'c'].map(name => result.channels[name].channel);
+    assert.deepStrictEqual(plain(assigned.slice().sort((x, y) => x - y)), [1, 6, 11]);
+    assert.ok(result.before.interferedShare > 0.5);
+    assert.strictEqual(result.after.interferedShare, 0);
+    assert.ok(result.after.meanSINR > result.before.meanSINR);
+});
+
+test('weightCellsByClients counts the clients of the nearest cell', () => {
+    const cells = context.weightCellsByClients(coverage(), [[50.001, 10.001], [50.001, 10.001], [51, 10]]);
+    assert.deepStrictEqual(plain(cells.filter(cell => cell.weight > 0).map(cell => cell.weight)), [2]);
+});
+
+test('assignNetworkChannels updates the parsed antennas and their network file without fetching it again', async () => {
+    const pattern = {horizontal: Array(360).fill(0), vertical: Array(360).fill(0)};
+    //three antennas about 150 m apart, all on channel 1
+    const network = {
+        antenna_sites: ['a', 'b', 'c'].map(name => ({
+            site_name: name,
+            installed_antennas: [{antenna_name: name + '_antenna1', point_dir: 0, install_height: 10, antenna_profile: 'AP', channel: 1}]
+        })),
+        antenna_profiles: [{profile_name: 'AP', output_power: -20, gain: 19, sensitivity: 85, frequency: 2.4, pattern: pattern}]
+    };
+    const marker = (name, lng) => ({feature: {geometry: {type: 'Point', coordinates: [lng, 0]}, properties: {name: name}}});
+    const map = {_layers: {1: marker('a', 0), 2: marker('b', 0.0014), 3: marker('c', 0.0028)}};
+    let fetched = [];
+    const files = loadScripts(['Leaflet.Antenna.js', 'Leaflet.Antenna.Files.js', 'Leaflet.Antenna.Validation.js'], {
+        L: {extend: Object.assign},
+        fetch: async url => (fetched.push(url), {json: async () => JSON.parse(JSON.stringify(network))})
+    });
+    const elevationProvider = {getElevations: async locations => locations.map(() => 100)};
+    const antennaData = await files.parseNetworkJSONFile('network.json', map, {elevationProvider: elevationProvider});
+    const result = await files.assignNetworkChannels(antennaData, [1, 6, 11], {elevationProvider: elevationProvider});
+
+    assert.deepStrictEqual(fetched, ['network.json']);
+    assert.deepStrictEqual(plain(Object.values(result.channels).sort((x, y) => x - y)), [1, 6, 11]);
+    assert.ok(result.after.interferedShare < result.before.interferedShare);
+    for (const antenna of antennaData) {
+        assert.strictEqual(antenna.channel, result.channels[antenna.antenna_name]);
+        assert.strictEqual(antenna.channel_frequency, files.channelFrequency(antenna.channel, 2.4));
+    }
+    //the network file without the results of the parser
+    const expected = JSON.parse(JSON.stringify(network));
+    for (const site of expected.antenna_sites) {
+        Object.assign(site.installed_antennas[0], {channel: result.channels[site.installed_antennas[0].antenna_name], bandwidth: 20});
+    }
+    assert.deepStrictEqual(plain(result.network), expected);
+    assert.strictEqual(await files.assignNetworkChannels(antennaData.map(antenna => Object.assign({}, antenna)), [1], {elevationProvider: elevationProvider})
+        .then(result => result.network), undefined);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {loadScripts, plain} = require('./helpers');
+
+const context = loadScripts(['Leaflet.Antenna.js', 'Leaflet.Antenna.Clutter.js']);
+
+/**
+ Returns a rectangular GeoJSON polygon feature
+ @param {number[]} southWest: [lat,long]
+ @param {number[]} northEast: [lat,long]
+ @param {object} properties: properties of the feature
+ @param {number[][][]} [holes]: holes of the polygon [[long,lat]]
+ @returns {object} GeoJSON feature
+ */
+function rectangle(southWest, northEast, properties, holes = []) {
+    const [south, west] = southWest, [north, east] = northEast;
+    return {
+        type: 'Feature',
+        properties: properties,
+        geometry: {type: 'Polygon', coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]].concat(holes)}
+    };
+}
+
+test('createDSMClutterProvider returns the height of the surface above the terrain', async () => {
+    const surface = {getElevations: async locations => locations.map(location => [120, 95, NaN][location[0]])};
+    const provider = context.createDSMClutterProvider(surface);
+    assert.deepStrictEqual(plain(await provider.getHeights([[0, 0], [1, 0], [2, 0]], [100, 100, 100])), [20, 0, 0]);
+});
+
+test('createBuildingClutterProvider extrudes the footprints by their height or floors', async () => {
+    const buildings = {
+        type: 'FeatureCollection',
+        features: [
+            rectangle([0, 0], [0.001, 0.001], {height: '12 m'}),
+            rectangle([0, 0.002], [0.001, 0.003], {'building:levels': 4}),
+            rectangle([0, 0.004], [0.001, 0.005], {}),
+            //courtyard in the middle of a block, overlapping the first building
+            rectangle([0, 0.0005], [0.003, 0.0035], {height: 8}, [[[0.001, 0.001], [0.003, 0.001], [0.003, 0.002], [0.001, 0.002], [0.001, 0.001]]])
+        ]
+    };
+    const locations = [[0.0005, 0.0002], [0.0005, 0.0007], [0.0005, 0.0025], [0.0005, 0.0045], [0.0015, 0.002], [0.0025, 0.002], [0.01, 0.01]];
+    assert.deepStrictEqual(plain(await context.createBuildingClutterProvider(buildings).getHeights(locations)), [12, 12, 12, 0, 0, 8, 0]);
+    const options = {heightProperty: 'height_m', levelHeight: 2.5, defaultHeight: 6};
+    assert.deepStrictEqual(plain(await context.createBuildingClutterProvider(buildings, options).getHeights(locations)), [6, 6, 10, 6, 0, 6, 0]);
+});
+
+test('createLandCoverClutterProvider uses the height of the class and combineClutterProviders the highest clutter', async () => {
+    const landCover = {
+        type: 'FeatureCollection',
+        features: [
+            rectangle([0, 0], [0.01, 0.01], {class: 'forest'}),
+            {type: 'Feature', properties: {type: 'urban'}, geometry: {type: 'MultiPolygon', coordinates: [rectangle([0.02, 0], [0.03, 0.01]).geometry.coordinates]}},
+            rectangle([0.04, 0], [0.05, 0.01], {class: 'water'})
+        ]
+    };
+    const forest = context.createLandCoverClutterProvider(landCover, {forest: 15, urban: 10});
+    const urban = context.createLandCoverClutterProvider(landCover, {urban: 10}, {classProperty: 'type'});
+    const locations = [[0.005, 0.005], [0.025, 0.005], [0.045, 0.005]];
+    assert.deepStrictEqual(plain(await forest.getHeights(locations)), [15, 0, 0]);
+    assert.deepStrictEqual(plain(await urban.getHeights(locations)), [0, 10, 0]);
+    const dsm = context.createDSMClutterProvider({getElevations: async locations => locations.map(() => 120)});
+    assert.deepStrictEqual(plain(await context.combineClutterProviders([forest, urban, dsm]).getHeights(locations, [100, 100, 110])), [20, 20, 10]);
+});
+
+test('evaluateRadial lets the clutter obstruct the points behind it', () => {
+    //a 30 m building 1 km from the antenna, the receiving antenna stays 2 m above the terrain
+    const radial = {antennaAngle: 0, points: Array.from({length: 21}, (value, index) => ({latLng: [0, index], height: 100, distance: index * 100, clutterHeight: index === 10 ? 30 : 0}))};
+    const result = context.evaluateRadial(radial, {
+        pattern: {horizontal: Array(360).fill(0), vertical: Array(360).fill(0)},
+        gainRXAntenna: 0,
+        outputPowerTXAntenna: 20,
+        sensitivityRXAntenna: 120,
+        elevationTXAntenna: 120,
+        heightTXAntenna: 20,
+        heightRXAntenna: 2,
+        frequency: 2.4,
+        kFactor: 4 / 3,
+        propagationModel: 'free-space',
+        propagationParameters: {}
+    });
+    //the point of the building and the first points behind it, which are below its shadow
+    assert.deepStrictEqual(plain(result.signalStrength.map(point => point[1])), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+});
+
+test('calcRadPatternWithObstacles passes the sampled points and their terrain to the clutter provider', async () => {
+    let lookups = [];
+    const clutter = {getHeights: async (locations, terrainElevations) => (lookups.push([locations.length, terrainElevations]), locations.map(() => 0))};
+    const antProfile = {output_power: -20, gain: 19, sensitivity: 85, frequency: 2.4, pattern: {horizontal: Array(360).fill(0), vertical: Array(360).fill(0)}};
+    await context.calcRadPatternWithObstacles([0, 0], 0, 10, antProfile, {elevationProvider: {getElevations: async locations => locations.map(() => 100)}, clutter: clutter});
+    const pointsPerRadial = Math.floor(context.maxDistance(2.4, -20, 85, 0, 19) / 50);
+    assert.strictEqual(lookups.length, 360);
+    assert.ok(lookups.every(([count, terrainElevations]) => count === pointsPerRadial && terrainElevations.every(elevation => elevation === 100)));
+});
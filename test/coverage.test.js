@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {loadScripts} = require('./helpers');
+
+const context = loadScripts(['Leaflet.Antenna.js']);
+
+const omnidirectional = {horizontal: Array(360).fill(0), vertical: Array(360).fill(0)};
+//low output power, so the coverage only reaches a few hundred meters
+const antProfile = {profile_name: 'test-AP', output_power: -20, gain: 19, sensitivity: 85, frequency: 2.4, pattern: omnidirectional};
+const flatTerrain = {getElevations: async locations => locations.map(() => 100)};
+
+test('calcRadPatternWithObstacles receives with the transmitting profile without rxProfile', async () => {
+    const [good, okay, bad, outerBorder, signalStrength] = await context.calcRadPatternWithObstacles([0, 0], 0, 10, antProfile, {elevationProvider: flatTerrain});
+    //the transmitting antenna only adds its pattern (0 dB), the receiving antenna the gain of the profile
+    const range = context.maxDistance(2.4, -20, 85, 0, 19);
+    assert.ok(outerBorder.every(point => point[2] === range));
+    assert.strictEqual(good.length + okay.length + bad.length, 360 * Math.floor(range / 50));
+    assert.ok(Math.abs(signalStrength[0][2] - (-20 + 19 - context.freeSpacePathLoss(50, 2.4, 0, 0))) < 1e-9);
+});
+
+test('calcRadPatternWithObstacles receives with the gain, cable loss and sensitivity of rxProfile', async () => {
+    const rxProfile = {gain: 14, cable_loss: 1, sensitivity: 90, install_height: 5};
+    const [, , , outerBorder, signalStrength] = await context.calcRadPatternWithObstacles([0, 0], 0, 10, antProfile, {elevationProvider: flatTerrain, rxProfile: rxProfile});
+    assert.ok(outerBorder.every(point => point[2] === context.maxDistance(2.4, -20, 90, 0, 13)));
+    assert.ok(Math.abs(signalStrength[0][2] - (-20 + 13 - context.freeSpacePathLoss(50, 2.4, 0, 0))) < 1e-9);
+    //a receiving pattern pointing at the transmitting antenna adds its value at 0°
+    const withPattern = await context.calcRadPatternWithObstacles([0, 0], 0, 10, antProfile, {
+        elevationProvider: flatTerrain,
+        rxProfile: Object.assign({pattern: {horizontal: Array(360).fill(-3), vertical: Array(360).fill(0)}}, rxProfile)
+    });
+    assert.ok(Math.abs(withPattern[4][0][2] - (-20 + 10 - context.freeSpacePathLoss(50, 2.4, 0, 0))) < 1e-9);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {loadScripts} = require('./helpers');
+
+const context = loadScripts(['Leaflet.Antenna.js']);
+
+//effective earth radius in meters for the k-factor
+const earthRadius = kFactor => kFactor * 6371000;
+
+test('earthBulge grows with the distance from both antennas and shrinks with the k-factor', () => {
+    //common approximation d1 * d2 / (12.74 * k) with the distances in km
+    assert.ok(Math.abs(context.earthBulge(10000, 20000, 4 / 3) - 10 * 10 / (12.742 * 4 / 3)) < 1e-3);
+    assert.strictEqual(context.earthBulge(0, 20000, 4 / 3), 0);
+    assert.strictEqual(context.earthBulge(20000, 20000, 4 / 3), 0);
+    assert.ok(Math.abs(context.earthBulge(5000, 20000, 2 / 3) - 2 * context.earthBulge(5000, 20000, 4 / 3)) < 1e-9);
+});
+
+test('isPathUnobstructed raises the terrain by the earth bulge of the k-factor', () => {
+    //obstacle halfway on a 20 km path between two antennas 50 m above sea level, bulging 5.9 m (k = 4/3) or 11.8 m (k = 2/3)
+    const obstacle = height => [{height: height, distance: 10000}];
+    assert.ok(context.isPathUnobstructed(obstacle(43), 50, 50, 20000, 5.8, 0, 4 / 3));
+    assert.ok(!context.isPathUnobstructed(obstacle(43), 50, 50, 20000, 5.8, 0, 2 / 3));
+    assert.ok(!context.isPathUnobstructed(obstacle(45), 50, 50, 20000, 5.8, 0, 4 / 3));
+    assert.ok(context.isPathUnobstructed(obstacle(45), 50, 50, 20000, 5.8, 0, Infinity));
+    //the first fresnel zone is 16.1 m wide at 5.8 GHz
+    assert.ok(context.isPathUnobstructed(obstacle(28), 50, 50, 20000, 5.8, 1, 4 / 3));
+    assert.ok(!context.isPathUnobstructed(obstacle(29), 50, 50, 20000, 5.8, 1, 4 / 3));
+});
+
+test('evaluateRadial reaches flat terrain up to the radio horizon of the k-factor', () => {
+    //30 km of flat terrain with a point every 100 m
+    const radial = {antennaAngle: 0, points: Array.from({length: 301}, (value, index) => ({latLng: [0, index], height: 100, distance: index * 100}))};
+    const parameters = kFactor => ({
+        pattern: {horizontal: Array(360).fill(0), vertical: Array(360).fill(0)},
+        gainRXAntenna: 0,
+        outputPowerTXAntenna: 20,
+        sensitivityRXAntenna: 200,
+        elevationTXAntenna: 130,
+        heightTXAntenna: 30,
+        heightRXAntenna: 2,
+        frequency: 2.4,
+        kFactor: kFactor,
+        propagationModel: 'free-space',
+        propagationParameters: {}
+    });
+    for (const kFactor of [4 / 3, 2 / 3]) {
+        const result = context.evaluateRadial(radial, parameters(kFactor));
+        const farthest = Math.max(...result.signalStrength.map(point => point[1])) * 100;
+        const radioHorizon = Math.sqrt(2 * earthRadius(kFactor) * 30) + Math.sqrt(2 * earthRadius(kFactor) * 2);
+        assert.ok(Math.abs(farthest - radioHorizon) <= 100, kFactor + ': ' + farthest + ' m instead of ' + radioHorizon + ' m');
+    }
+});
+
+test('calcRadPatternWithObstacles uses the kFactor option with 4/3 as default', async () => {
+    let kFactors = [];
+    const workerPool = {
+        evaluate: async (radials, parameters) => {
+            kFactors.push(parameters.kFactor);
+            return radials.map(() => ({good: [], okay: [], bad: [], signalStrength: []}));
+        }
+    };
+    const antProfile = {output_power: -20, gain: 19, sensitivity: 85, frequency: 2.4, pattern: {horizontal: Array(360).fill(0), vertical: Array(360).fill(0)}};
+    const flatTerrain = {getElevations: async locations => locations.map(() => 100)};
+    await context.calcRadPatternWithObstacles([0, 0], 0, 10, antProfile, {elevationProvider: flatTerrain, workerPool: workerPool});
+    await context.calcRadPatternWithObstacles([0, 0], 0, 10, antProfile, {elevationProvider: flatTerrain, workerPool: workerPool, kFactor: 2 / 3});
+    assert.deepStrictEqual(new Set(kFactors.slice(0, 360)), new Set([4 / 3]));
+    assert.deepStrictEqual(new Set(kFactors.slice(360)), new Set([2 / 3]));
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {loadScripts} = require('./helpers');
+
+const context = loadScripts(['Leaflet.Antenna.js']);
+
+const models = ['itu-r-p526', 'bullington', 'epstein-peterson', 'deygout'];
+const wavelength = frequency => 0.299792458 / frequency;
+//diffraction parameter of an obstacle reaching height above the line between the antennas (ITU-R P.526 eq. 26)
+const v = (height, d1, d2, frequency) => height * Math.sqrt(2 / wavelength(frequency) * (1 / d1 + 1 / d2));
+
+test('knifeEdgeDiffractionLoss follows J(v) of ITU-R P.526', () => {
+    //6 dB at grazing incidence, about 13 + 20 log v above v = 1
+    assert.ok(Math.abs(context.knifeEdgeDiffractionLoss(0) - 6) < 0.1);
+    assert.ok(Math.abs(context.knifeEdgeDiffractionLoss(1) - 13.9) < 0.2);
+    assert.ok(Math.abs(context.knifeEdgeDiffractionLoss(3) - 22.5) < 0.2);
+    assert.strictEqual(context.knifeEdgeDiffractionLoss(-0.78), 0);
+    assert.strictEqual(context.knifeEdgeDiffractionLoss(-2), 0);
+});
+
+test('all diffraction models agree on a single obstacle', () => {
+    //20 m obstacle 4 km from the transmitting antenna on a 10 km path at 100 m
+    const pathPoints = [{height: 90, distance: 2000}, {height: 120, distance: 4000}, {height: 95, distance: 8000}];
+    const expected = context.knifeEdgeDiffractionLoss(v(20, 4000, 6000, 2.4));
+    for (const model of models) {
+        assert.ok(Math.abs(context.diffractionLoss(pathPoints, 100, 100, 10000, 2.4, Infinity, model) - expected) < 1e-9, model);
+    }
+    //the earth bulge raises the obstacle
+    assert.ok(context.diffractionLoss(pathPoints, 100, 100, 10000, 2.4, 4 / 3, 'deygout') > expected);
+});
+
+test('multiple knife-edge models combine two obstacles differently', () => {
+    //two 20 m obstacles at 3 and 7 km on a 10 km path at 100 m, without earth bulge
+    const pathPoints = [{height: 120, distance: 3000}, {height: 120, distance: 7000}];
+    const loss = model => context.diffractionLoss(pathPoints, 100, 100, 10000, 2.4, Infinity, model);
+    const J = context.knifeEdgeDiffractionLoss;
+
+    assert.ok(Math.abs(loss('itu-r-p526') - J(v(20, 3000, 7000, 2.4))) < 1e-9);
+    //each obstacle relative to the line from the antenna to the other obstacle
+    assert.ok(Math.abs(loss('epstein-peterson') - 2 * J(v(20 - 20 * 3 / 7, 3000, 4000, 2.4))) < 1e-9);
+    //the main obstacle and the other one relative to the main obstacle and the antenna behind it
+    assert.ok(Math.abs(loss('deygout') - (J(v(20, 3000, 7000, 2.4)) + J(v(20 - 20 * 3 / 7, 4000, 3000, 2.4)))) < 1e-9);
+    //one equivalent obstacle halfway, where the lines from both antennas over their steepest obstacle cross
+    assert.ok(Math.abs(loss('bullington') - J(v(20 * 5 / 3, 5000, 5000, 2.4))) < 1e-9);
+});
+
+test('diffractionLoss has no loss below the line of sight and rejects unknown models', () => {
+    const pathPoints = [{height: 50, distance: 5000}];
+    for (const model of models) {
+        assert.strictEqual(context.diffractionLoss(pathPoints, 100, 100, 10000, 2.4, 4 / 3, model), 0, model);
+    }
+    assert.throws(() => context.diffractionLoss(pathPoints, 100, 100, 10000, 2.4, 4 / 3, 'fresnel'), /Unknown diffraction model: fresnel/);
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {loadScripts, plain} = require('./helpers');
+
+const context = loadScripts(['Leaflet.Antenna.js', 'Leaflet.Antenna.Files.js'], {L: {extend: Object.assign}});
+
+//omnidirectional antenna losing 0.5 dB per degree away from the horizon
+const vertical = Array.from({length: 360}, (value, angle) => -Math.min(angle, 360 - angle) / 2);
+const pattern = {horizontal: Array(360).fill(0), vertical: vertical};
+
+test('antValuesToPattern reads the vertical values of .ant files from the zenith downwards', () => {
+    //the vertical values of the file are the angle from the zenith
+    const values = Array.from({length: 720}, (value, index) => index < 360 ? -index / 100 : -(index - 360));
+    const result = context.antValuesToPattern(values);
+    assert.deepStrictEqual(plain(result.horizontal), plain(values.slice(0, 360)));
+    //horizon, 10° below and 10° above it
+    assert.deepStrictEqual(plain([0, 10, 350].map(angle => result.vertical[angle])), [-90, -100, -80]);
+    assert.ok(context.antValuesToPattern(values.slice(0, 360)).vertical.every(value => value === 0));
+});
+
+test('patternValue interpolates between degrees and wraps around', () => {
+    const values = Array.from({length: 360}, (value, angle) => angle);
+    assert.strictEqual(context.patternValue(values, 10.25), 10.25);
+    assert.strictEqual(context.patternValue(values, -350), 10);
+    assert.strictEqual(context.patternValue(values, 359.5), 179.5);
+});
+
+test('patternGain tilts the vertical pattern, mechanical downtilt only towards the front', () => {
+    assert.strictEqual(context.patternGain(pattern, 0, 6), -3);
+    assert.strictEqual(context.patternGain(pattern, 0, 6, 0, 6), 0);
+    assert.strictEqual(context.patternGain(pattern, 0, 6, 6, 0), 0);
+    //the back lobe of a mechanically tilted antenna points upwards
+    assert.ok(Math.abs(context.patternGain(pattern, 180, -6, 6, 0)) < 1e-9);
+    assert.ok(Math.abs(context.patternGain(pattern, 90, 6, 6, 0) - -3) < 1e-9);
+    assert.strictEqual(context.patternGain(pattern, 180, 6, 0, 6), 0);
+});
+
+test('depressionAngle adds the curvature of the earth to the angle below the horizon', () => {
+    assert.ok(Math.abs(context.depressionAngle(130, 100, 300, Infinity) - Math.atan(30 / 300) * 180 / Math.PI) < 1e-9);
+    assert.ok(context.depressionAngle(100, 130, 300, Infinity) < 0);
+    //a point at the same height 20 km away is below the horizon
+    assert.ok(Math.abs(context.depressionAngle(100, 100, 20000, 4 / 3) - 20000 / (2 * 4 / 3 * 6371000) * 180 / Math.PI) < 1e-9);
+});
+
+test('evaluateRadial applies the vertical pattern at the elevation angle of each point', () => {
+    const radial = {antennaAngle: 0, points: Array.from({length: 11}, (value, index) => ({latLng: [0, index], height: 100, distance: index * 100}))};
+    const parameters = electricalDowntilt => ({
+        pattern: pattern,
+        gainRXAntenna: 0,
+        outputPowerTXAntenna: 20,
+        sensitivityRXAntenna: 120,
+        elevationTXAntenna: 130,
+        heightTXAntenna: 30,
+        heightRXAntenna: 2,
+        frequency: 2.4,
+        kFactor: Infinity,
+        propagationModel: 'free-space',
+        propagationParameters: {},
+        mechanicalDowntilt: 0,
+        electricalDowntilt: electricalDowntilt
+    });
+    for (const electricalDowntilt of [0, 6]) {
+        const result = context.evaluateRadial(radial, parameters(electricalDowntilt));
+        assert.strictEqual(result.signalStrength.length, 10);
+        for (const [, index, power] of result.signalStrength) {
+            const elevationAngle = Math.atan(28 / (index * 100)) * 180 / Math.PI;
+            const expected = 20 - context.freeSpacePathLoss(index * 100, 2.4, 0, 0) - Math.abs(elevationAngle - electricalDowntilt) / 2;
+            assert.ok(Math.abs(power - expected) < 1e-9, index + ': ' + power + ' instead of ' + expected);
+        }
+    }
+});
+
+test('calcAntennaCoverage tilts the antenna by the downtilts of the network file', async () => {
+    let downtilts = [];
+    const workerPool = {
+        evaluate: async (radials, parameters) => {
+            downtilts.push([parameters.mechanicalDowntilt, parameters.electricalDowntilt]);
+            return radials.map(() => ({good: [], okay: [], bad: [], signalStrength: []}));
+        }
+    };
+    const antenna = {
+        position: [0, 0], point_dir: 0, install_height: 10, mechanical_downtilt: 4, electrical_downtilt: 2,
+        profile: {output_power: -20, gain: 19, sensitivity: 85, frequency: 2.4, pattern: pattern}
+    };
+    const options = {elevationProvider: {getElevations: async locations => locations.map(() => 100)}, workerPool: workerPool};
+    await context.calcAntennaCoverage(antenna, options);
+    assert.deepStrictEqual(plain(downtilts[0]), [4, 2]);
+    await context.calcAntennaCoverage(antenna, Object.assign({mechanicalDowntilt: 0}, options));
+    assert.deepStrictEqual(plain(downtilts[360]), [0, 2]);
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {loadScripts, plain} = require('./helpers');
+
+//1x1 Terrain-RGB tile of 0 m
+function loadWithResponses(responses) {
+    let requests = 0;
+    const context = loadScripts(['Leaflet.Antenna.Elevation.js'], {
+        L: {Util: {template: template => template}, extend: Object.assign},
+        fetch: async () => responses[Math.min(requests++, responses.length - 1)],
+        createImageBitmap: async () => ({width: 1, height: 1}),
+        OffscreenCanvas: class {
+            getContext() {
+                return {
+                    drawImage: () => undefined,
+                    getImageData: () => ({data: new Uint8ClampedArray([1, 134, 160, 255])})
+                };
+            }
+        }
+    });
+    return {context: context, requests: () => requests};
+}
+
+const ok = {status: 200, ok: true, blob: async () => null},
+    tooManyRequests = {status: 429, ok: false},
+    notFound = {status: 404, ok: false};
+
+test('decodeTerrainRGB and decodeTerrarium decode the elevation of a pixel', () => {
+    const {context} = loadWithResponses([ok]);
+    assert.strictEqual(context.decodeTerrainRGB([1, 134, 160, 255]), 0);
+    assert.strictEqual(context.decodeTerrarium([128, 0, 0, 255]), 0);
+});
+
+test('createTileElevationProvider loads a tile again after a failed request', async () => {
+    const {context, requests} = loadWithResponses([tooManyRequests, ok]);
+    const provider = context.createTileElevationProvider('tile.png');
+    assert.ok(Number.isNaN((await provider.getElevations([[51.3, 12.4]]))[0]));
+    assert.deepStrictEqual(plain(await provider.getElevations([[51.3, 12.4]])), [0]);
+    assert.deepStrictEqual(plain(await provider.getElevations([[51.3, 12.4]])), [0]);
+    assert.strictEqual(requests(), 2);
+});
+
+test('createTileElevationProvider caches missing tiles', async () => {
+    const {context, requests} = loadWithResponses([notFound, ok]);
+    const provider = context.createTileElevationProvider('tile.png');
+    assert.ok(Number.isNaN((await provider.getElevations([[51.3, 12.4]]))[0]));
+    assert.ok(Number.isNaN((await provider.getElevations([[51.3, 12.4]]))[0]));
+    assert.strictEqual(requests(), 1);
+});
+
+//colorPicker tile layer with tiles north of the equator only, 100 m high
+function colorPickerLayer(rgba) {
+    return {getColor: location => location[0] > 0 ? rgba : null};
+}
+
+test('color picker providers decode Terrain-RGB and Terrarium tiles of the map', async () => {
+    const context = loadScripts(['Leaflet.Antenna.Elevation.js']);
+    const locations = [[1, 1], [-1, 1]];
+    const terrainRGB = await context.createTerrainRGBElevationProvider(colorPickerLayer([1, 138, 136, 255])).getElevations(locations);
+    const terrarium = await context.createTerrariumElevationProvider(colorPickerLayer([128, 100, 0, 255])).getElevations(locations);
+    for (const elevations of [terrainRGB, terrarium]) {
+        assert.strictEqual(elevations[0], 100);
+        assert.ok(Number.isNaN(elevations[1]));
+    }
+});
+
+test('createGridElevationProvider interpolates bilinearly and skips missing elevations', async () => {
+    const context = loadScripts(['Leaflet.Antenna.Elevation.js']);
+    //3x2 grid from 10 to 12 east and 50 to 51 north
+    const provider = context.createGridElevationProvider({
+        north: 51, south: 50, west: 10, east: 12, width: 3, height: 2,
+        elevations: [100, 200, -9999, 300, 400, 500], nodata: -9999
+    });
+    const elevations = await provider.getElevations([[51, 10], [50, 12], [50.5, 10.5], [50.75, 10], [51, 12], [50.5, 11.5], [52, 10]]);
+    assert.deepStrictEqual(plain(elevations.slice(0, 5)), [100, 500, 250, 150, null]);
+    //next to the missing elevation and outside of the grid
+    assert.ok(Number.isNaN(elevations[4]) && Number.isNaN(elevations[5]) && Number.isNaN(elevations[6]));
+});
+
+test('createCallbackElevationProvider passes all locations to the callback at once', async () => {
+    const context = loadScripts(['Leaflet.Antenna.Elevation.js']);
+    let calls = [];
+    const provider = context.createCallbackElevationProvider(locations => (calls.push(locations.length), locations.map(location => location[0] * 10)));
+    assert.deepStrictEqual(plain(await provider.getElevations([[1, 0], [2, 0], [3, 0]])), [10, 20, 30]);
+    assert.deepStrictEqual(calls, [3]);
+});
+
+test('calcRadPatternWithObstacles looks up the elevations of a radial at once and falls back to the global colorPicker', async () => {
+    const pattern = {horizontal: Array(360).fill(0), vertical: Array(360).fill(0)};
+    const antProfile = {output_power: -20, gain: 19, sensitivity: 85, frequency: 2.4, pattern: pattern};
+    const context = loadScripts(['Leaflet.Antenna.Elevation.js', 'Leaflet.Antenna.js', 'Leaflet.Antenna.Files.js'], {
+        colorPicker: colorPickerLayer([1, 138, 136, 255])
+    });
+    let lookups = 0;
+    const provider = context.createCallbackElevationProvider(locations => (lookups++, locations.map(() => 100)));
+    const withProvider = await context.calcRadPatternWithObstacles([1, 1], 0, 10, antProfile, {elevationProvider: provider});
+    //the antenna and every radial
+    assert.strictEqual(lookups, 361);
+    assert.strictEqual(await context.getElevationAtPointRGB([1, 1]), 100);
+    assert.deepStrictEqual(plain(await context.calcRadPatternWithObstacles([1, 1], 0, 10, antProfile)), plain(withProvider));
+});
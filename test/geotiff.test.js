@@ -0,0 +1,259 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const {loadScripts, plain} = require('./helpers');
+
+const context = loadScripts(['Leaflet.Antenna.GeoTIFF.js'], {
+    Blob: Blob,
+    Response: Response,
+    DecompressionStream: DecompressionStream,
+    fetch: async url => ({arrayBuffer: async () => files[url]})
+});
+//files by url, served by the fetch stub
+let files = {};
+
+//TIFF field types and their size in bytes
+const SHORT = 3, LONG = 4, ASCII = 2, DOUBLE = 12;
+const typeSizes = {[ASCII]: 1, [SHORT]: 2, [LONG]: 4, [DOUBLE]: 8};
+
+/**
+ Writes a TIFF file with one image
+ @param {Array[]} entries: tags of the image [[tag, type, values]], values are a string for ASCII fields
+ @param {Uint8Array[]} blocks: strips or tiles (if the tags contain a tile width) of the image, their offsets and byte counts are added to the tags
+ @param {boolean} [littleEndian]: byte order of the file
+ @returns {ArrayBuffer} content of the .tif file
+ */
+function writeTIFF(entries, blocks, littleEndian = true) {
+    const tiled = entries.some(entry => entry[0] === 322);
+    entries = entries.concat([[tiled ? 324 : 273, LONG, blocks.map(() => 0)], [tiled ? 325 : 279, LONG, blocks.map(block => block.length)]])
+        .map(([tag, type, values]) => [tag, type, type === ASCII ? Array.from(values + '\0', character => character.charCodeAt(0)) : values])
+        .sort((x, y) => x[0] - y[0]);
+    //header, directory and the values which don't fit into their entry, followed by the blocks
+    let size = 8 + 2 + entries.length * 12 + 4;
+    const valueOffsets = entries.map(([, type, values]) => {
+        const valueSize = typeSizes[type] * values.length;
+        size += valueSize > 4 ? valueSize : 0;
+        return valueSize > 4 ? size - valueSize : undefined;
+    });
+    let blockOffset = size;
+    const offsets = entries.find(entry => entry[0] === (tiled ? 324 : 273))[2];
+    blocks.forEach((block, index) => {
+        offsets[index] = blockOffset;
+        blockOffset += block.length;
+    });
+
+    const buffer = new ArrayBuffer(blockOffset);
+    const view = new DataView(buffer);
+    view.setUint16(0, littleEndian ? 0x4949 : 0x4D4D);
+    view.setUint16(2, 42, littleEndian);
+    view.setUint32(4, 8, littleEndian);
+    view.setUint16(8, entries.length, littleEndian);
+    entries.forEach(([tag, type, values], index) => {
+        const entryOffset = 10 + index * 12;
+        view.setUint16(entryOffset, tag, littleEndian);
+        view.setUint16(entryOffset + 2, type, littleEndian);
+        view.setUint32(entryOffset + 4, values.length, littleEndian);
+        let position = valueOffsets[index] !== undefined ? valueOffsets[index] : entryOffset + 8;
+        if (valueOffsets[index] !== undefined) {
+            view.setUint32(entryOffset + 8, position, littleEndian);
+        }
+        for (const value of values) {
+            if (type === ASCII) {
+                view.setUint8(position, value);
+            } else if (type === SHORT) {
+                view.setUint16(position, value, littleEndian);
+            } else if (type === LONG) {
+                view.setUint32(position, value, littleEndian);
+            } else {
+                view.setFloat64(position, value, littleEndian);
+            }
+            position += typeSizes[type];
+        }
+    });
+    blocks.forEach((block, index) => new Uint8Array(buffer, offsets[index], block.length).set(block));
+    return buffer;
+}
+
+/**
+ Stores samples in the given byte order
+ @param {number[]} samples: values
+ @param {string} type: 'Float32' or 'Int16'
+ @param {boolean} [littleEndian]: byte order
+ @returns {Uint8Array} bytes of the samples
+ */
+function sampleBytes(samples, type, littleEndian = true) {
+    const size = type === 'Float32' ? 4 : 2;
+    const view = new DataView(new ArrayBuffer(samples.length * size));
+    samples.forEach((sample, index) => view['set' + type](index * size, sample, littleEndian));
+    return new Uint8Array(view.buffer);
+}
+
+/**
+ Compresses bytes with TIFF LZW, short enough for 9 bit codes
+ @param {Uint8Array} bytes: data
+ @returns {Uint8Array} compressed data
+ */
+function lzwCompress(bytes) {
+    let output = [],
+        bits = 0,
+        bitCount = 0;
+    const write = code => {
+        bits = (bits << 9) | code;
+        bitCount += 9;
+        while (bitCount >= 8) {
+            output.push((bits >>> (bitCount - 8)) & 255);
+            bitCount -= 8;
+        }
+        bits &= (1 << bitCount) - 1;
+    };
+    let table = new Map();
+    write(256);
+    let prefix = String.fromCharCode(bytes[0]);
+    for (const byte of bytes.slice(1)) {
+        const entry = prefix + String.fromCharCode(byte);
+        if (table.has(entry)) {
+            prefix = entry;
+        } else {
+            write(prefix.length === 1 ? prefix.charCodeAt(0) : table.get(prefix));
+            table.set(entry, 258 + table.size);
+            prefix = String.fromCharCode(byte);
+        }
+    }
+    write(prefix.length === 1 ? prefix.charCodeAt(0) : table.get(prefix));
+    write(257);
+    if (bitCount > 0) {
+        output.push((bits << (8 - bitCount)) & 255);
+    }
+    return new Uint8Array(output);
+}
+
+//4x3 pixels of 0.01° from 10 to 10.04 east and 51 to 50.97 north, one missing elevation
+const elevations = [
+    100, 110, 120, 130,
+    200, 210, 220, -9999,
+    300, 310, 320, 330
+];
+const geographic = [
+    [256, SHORT, [4]],
+    [257, SHORT, [3]],
+    [258, SHORT, [32]],
+    [259, SHORT, [1]],
+    [277, SHORT, [1]],
+    [278, SHORT, [2]],
+    [339, SHORT, [3]],
+    [33550, DOUBLE, [0.01, 0.01, 0]],
+    [33922, DOUBLE, [0, 0, 0, 10, 51, 0]],
+    //geographic model (1024), pixels are areas (1025), WGS84 (2048)
+    [34735, SHORT, [1, 1, 0, 3, 1024, 0, 1, 2, 1025, 0, 1, 1, 2048, 0, 1, 4326]],
+    [42113, ASCII, '-9999']
+];
+//two strips of two rows and one row
+const stripped = () => writeTIFF(geographic, [sampleBytes(elevations.slice(0, 8), 'Float32'), sampleBytes(elevations.slice(8), 'Float32')]);
+//center of a pixel
+const pixel = (column, row) => [51 - 0.005 - row * 0.01, 10 + 0.005 + column * 0.01];
+
+test('createGeoTIFFElevationProvider interpolates bilinearly between the pixel centers of a geographic GeoTIFF', async () => {
+    const provider = await context.createGeoTIFFElevationProvider(stripped());
+    const [first, between, lastRow, nextToMissing, missing, outside] = await provider.getElevations([
+        pixel(0, 0), [50.98, 10.01], pixel(3, 2), [50.985, 10.023], pixel(3, 1), [51.1, 10.02]
+    ]);
+    assert.ok(Math.abs(first - 100) < 1e-6);
+    assert.ok(Math.abs(between - (200 + 210 + 300 + 310) / 4) < 1e-6);
+    assert.ok(Math.abs(lastRow - 330) < 1e-6);
+    assert.ok(Math.abs(nextToMissing - (0.2 * 210 + 0.8 * 220)) < 1e-6);
+    assert.ok(Number.isNaN(missing));
+    assert.ok(Number.isNaN(outside));
+    //the outer half of the border pixels
+    assert.ok(Math.abs((await provider.getElevations([[50.999, 10.001]]))[0] - 100) < 1e-6);
+});
+
+test('createGeoTIFFElevationProvider reads files chosen by the user and urls', async () => {
+    const buffer = stripped();
+    files['dem.tif'] = buffer;
+    for (const source of [new Blob([buffer]), 'dem.tif']) {
+        const provider = await context.createGeoTIFFElevationProvider(source);
+        assert.deepStrictEqual(plain((await provider.getElevations([pixel(1, 2)])).map(Math.round)), [310]);
+    }
+});
+
+test('createGeoTIFFElevationProvider decodes LZW compressed strips with floating point predictor', async () => {
+    //the bytes of each row as planes starting with the most significant byte, horizontally differenced
+    const rows = [0, 1, 2].map(row => {
+        const samples = sampleBytes(elevations.slice(row * 4, row * 4 + 4), 'Float32', false);
+        let planes = [];
+        for (let byte = 0; byte < 4; byte++) {
+            for (let sample = 0; sample < 4; sample++) {
+                planes.push(samples[sample * 4 + byte]);
+            }
+        }
+        return planes.map((value, index) => (value - (index > 0 ? planes[index - 1] : 0)) & 255);
+    });
+    const buffer = writeTIFF(geographic.map(entry => entry[0] === 259 ? [259, SHORT, [5]] : entry).concat([[317, SHORT, [3]]]),
+        [lzwCompress(new Uint8Array(rows[0].concat(rows[1]))), lzwCompress(new Uint8Array(rows[2]))]);
+    const provider = await context.createGeoTIFFElevationProvider(buffer);
+    const result = await provider.getElevations([pixel(0, 0), pixel(1, 1), pixel(3, 1), pixel(1, 2)]);
+    assert.deepStrictEqual(plain(result.map(Math.round)), [100, 210, null, 310]);
+});
+
+test('createGeoTIFFElevationProvider decodes deflate compressed big endian tiles with predictor of a UTM GeoTIFF', async () => {
+    //2x2 tiles of 10 m pixels in UTM zone 32N, the pixel coordinates refer to the pixel centers
+    const tile = (column, row) => {
+        let samples = [];
+        for (let y = row * 2; y < row * 2 + 2; y++) {
+            //horizontal differencing of the predictor, tiles on the border are padded
+            const values = [0, 1].map(x => (elevations[y * 4 + column * 2 + x] || 0));
+            samples.push(values[0], values[1] - values[0]);
+        }
+        return new Uint8Array(zlib.deflateSync(sampleBytes(samples, 'Int16', false)));
+    };
+    const buffer = writeTIFF([
+        [256, SHORT, [4]],
+        [257, SHORT, [3]],
+        [258, SHORT, [16]],
+        [259, SHORT, [8]],
+        [277, SHORT, [1]],
+        [317, SHORT, [2]],
+        [322, SHORT, [2]],
+        [323, SHORT, [2]],
+        [339, SHORT, [2]],
+        [33550, DOUBLE, [10, 10, 0]],
+        [33922, DOUBLE, [0, 0, 0, 500000, 5650000, 0]],
+        //projected model (1024), pixels are points (1025), WGS84 / UTM zone 32N (3072)
+        [34735, SHORT, [1, 1, 0, 3, 1024, 0, 1, 1, 1025, 0, 1, 2, 3072, 0, 1, 32632]],
+        [42113, ASCII, '-9999']
+    ], [tile(0, 0), tile(1, 0), tile(0, 1), tile(1, 1)], false);
+    const provider = await context.createGeoTIFFElevationProvider(buffer);
+    //locations of the pixels, e.g. found with the projection of the file
+    const project = context.epsgProjection(32632);
+    const locationOf = (x, y) => {
+        //inverts the projection near the central meridian by iteration
+        let location = [51, 9];
+        for (let i = 0; i < 10; i++) {
+            const [px, py] = project(location);
+            location = [location[0] + (y - py) / 111320, location[1] + (x - px) / (111320 * Math.cos(location[0] * Math.PI / 180))];
+        }
+        return location;
+    };
+    const result = await provider.getElevations([locationOf(500000, 5650000), locationOf(500020, 5649985), locationOf(500030, 5649990)]);
+    assert.ok(Math.abs(result[0] - 100) < 1e-3);
+    assert.ok(Math.abs(result[1] - (220 + 320) / 2) < 1e-3);
+    assert.ok(Number.isNaN(result[2]));
+});
+
+test('projectToUTM and epsgProjection project into the coordinate reference systems of DEMs', () => {
+    //origin of the zone and the meridian arc of 45° on the WGS84 ellipsoid (4984944.378 m) scaled by 0.9996
+    assert.deepStrictEqual(plain(context.projectToUTM([0, 3], 31, false).map(value => Math.round(value * 1000) / 1000)), [500000, 0]);
+    assert.ok(Math.abs(context.projectToUTM([45, 9], 32, false)[1] - 0.9996 * 4984944.378) < 0.01);
+    assert.ok(Math.abs(context.projectToUTM([-45, 9], 32, true)[1] - (10000000 - 0.9996 * 4984944.378)) < 0.01);
+    //symmetric to the central meridian
+    const [east] = context.projectToUTM([51, 10], 32, false), [west] = context.projectToUTM([51, 8], 32, false);
+    assert.ok(Math.abs(east - 500000 - (500000 - west)) < 1e-6);
+    assert.deepStrictEqual(plain(context.epsgProjection(25832)([51, 10])), plain(context.projectToUTM([51, 10], 32, false)));
+    assert.deepStrictEqual(plain(context.epsgProjection(4326)([51, 10])), [10, 51]);
+    assert.ok(Math.abs(context.epsgProjection(3857)([0, 180])[0] - 20037508.34) < 0.01);
+    assert.throws(() => context.epsgProjection(2056), /Unknown projection: EPSG:2056/);
+});
+
+test('readTIFF rejects other files', () => {
+    assert.throws(() => context.readTIFF(new TextEncoder().encode('GIF89a').buffer), /Not a TIFF file/);
+});
@@ -0,0 +1,46 @@
+/*
+ Loads the browser scripts of src/ into a sandbox, like the <script> tags of a page, so their global functions can be tested with node.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+/**
+ Runs the given scripts of src/ in a new context
+ @param {string[]} scripts: file names in src/, in the order of their <script> tags
+ @param {object} [globals]: additional globals of the page, e.g. stubs of L or fetch
+ @returns {object} context with the global functions of the scripts
+ */
+function loadScripts(scripts, globals = {}) {
+    const context = vm.createContext(Object.assign({
+        console: console,
+        setTimeout: setTimeout,
+        AbortController: AbortController,
+        TextDecoder: TextDecoder
+    }, globals));
+    for (const script of scripts) {
+        vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'src', script), 'utf8'), context, {filename: script});
+    }
+    return context;
+}
+
+/**
+ Evaluates an expression in a context, e.g. to read top-level const declarations which aren't properties of the context
+ @param {object} context: context returned by loadScripts
+ @param {string} expression: JavaScript expression
+ @returns {*} value of the expression
+ */
+function evaluate(context, expression) {
+    return vm.runInContext(expression, context);
+}
+
+/**
+ Copies a value created in a context into this realm, so it can be compared with assert.deepStrictEqual
+ @param {*} value: JSON compatible value
+ @returns {*} copy of the value
+ */
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = {loadScripts: loadScripts, evaluate: evaluate, plain: plain};
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {loadScripts, plain} = require('./helpers');
+
+const context = loadScripts(['Leaflet.Antenna.js', 'Leaflet.Antenna.Clutter.js']);
+
+test('weissbergerLoss grows linearly up to 14 m of foliage and is limited to 400 m', () => {
+    assert.ok(Math.abs(context.weissbergerLoss(10, 1) - 4.5) < 1e-9);
+    assert.ok(Math.abs(context.weissbergerLoss(100, 1) - 1.33 * Math.pow(100, 0.588)) < 1e-9);
+    //both parts of the model meet at 14 m
+    assert.ok(Math.abs(context.weissbergerLoss(14, 2.4) - context.weissbergerLoss(14.001, 2.4)) < 0.05);
+    assert.strictEqual(context.weissbergerLoss(1000, 2.4), context.weissbergerLoss(400, 2.4));
+    assert.ok(context.weissbergerLoss(100, 5.8) > context.weissbergerLoss(100, 2.4));
+});
+
+test('ituRP833Loss starts with the specific attenuation and approaches the maximum attenuation', () => {
+    assert.ok(Math.abs(context.ituRP833Loss(1, 2.4) - 0.3) < 0.01);
+    const maxAttenuation = 0.18 * Math.pow(2400, 0.752);
+    assert.ok(Math.abs(context.ituRP833Loss(10000, 2.4) - maxAttenuation) < 1e-6);
+    assert.ok(Math.abs(context.ituRP833Loss(1, 2.4, {specificAttenuation: 0.5}) - 0.5) < 0.01);
+    assert.ok(Math.abs(context.ituRP833Loss(10000, 2.4, {maxAttenuationFactor: 0.2, maxAttenuationExponent: 0.7}) - 0.2 * Math.pow(2400, 0.7)) < 1e-6);
+});
+
+test('landCoverLoss selects the model of the class', () => {
+    assert.strictEqual(context.landCoverLoss({model: 'weissberger'}, 100, 2.4), context.weissbergerLoss(100, 2.4));
+    assert.strictEqual(context.landCoverLoss({model: 'itu-r-p833', specificAttenuation: 0.5}, 100, 2.4), context.ituRP833Loss(100, 2.4, {specificAttenuation: 0.5}));
+    assert.strictEqual(context.landCoverLoss({model: 'linear', attenuation: 0.05, maxLoss: 20}, 100, 2.4), 5);
+    assert.strictEqual(context.landCoverLoss({model: 'linear', attenuation: 0.05, maxLoss: 20}, 1000, 2.4), 20);
+    assert.strictEqual(context.landCoverLoss({model: 'linear', attenuation: 0.05}, 1000, 2.4), 50);
+    assert.strictEqual(context.landCoverLoss({model: 'none'}, 1000, 2.4), 0);
+    assert.throws(() => context.landCoverLoss({model: 'foliage'}, 100, 2.4), /Unknown land-cover loss model: foliage/);
+});
+
+test('createLandCoverProvider returns the class of the topmost polygon, also of large polygons', async () => {
+    const polygon = (west, south, east, north, properties) => ({
+        type: 'Feature',
+        properties: properties,
+        geometry: {type: 'Polygon', coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]}
+    });
+    const provider = context.createLandCoverProvider({
+        type: 'FeatureCollection',
+        features: [
+            //a whole region and a country, larger than the cells of the index
+            polygon(10, 50, 12, 52, {class: 'open'}),
+            polygon(-20, 30, 40, 70, {class: 'water'}),
+            polygon(11, 51, 11.01, 51.01, {class: 'forest'}),
+            polygon(11.005, 51.005, 11.02, 51.02, {class: 'urban', kind: 'built-up'})
+        ]
+    });
+    const classes = await provider.getClasses([[51.002, 11.002], [51.5, 11.5], [51.007, 11.007], [60, 30], [0, 0]]);
+    assert.deepStrictEqual(plain(classes), ['forest', 'water', 'urban', 'water', null]);
+    assert.strictEqual(classes[4], undefined);
+    const kinds = context.createLandCoverProvider({features: [polygon(11.005, 51.005, 11.02, 51.02, {class: 'urban', kind: 'built-up'})]}, {classProperty: 'kind'});
+    assert.deepStrictEqual(plain(await kinds.getClasses([[51.007, 11.007]])), ['built-up']);
+});
+
+test('evaluateRadial adds the loss of the path length through each land-cover class', () => {
+    //forest from 300 to 500 m, suburban from 800 m
+    const landCover = index => index > 3 && index <= 5 ? 'forest' : (index > 8 ? 'suburban' : undefined);
+    const radial = withLandCover => ({
+        antennaAngle: 0,
+        points: Array.from({length: 11}, (value, index) => ({latLng: [0, index], height: 100, distance: index * 100, landCover: withLandCover ? landCover(index) : undefined}))
+    });
+    const parameters = landCoverLoss => ({
+        pattern: {horizontal: Array(360).fill(0), vertical: Array(360).fill(0)},
+        gainRXAntenna: 0,
+        outputPowerTXAntenna: 20,
+        sensitivityRXAntenna: 150,
+        elevationTXAntenna: 130,
+        heightTXAntenna: 30,
+        heightRXAntenna: 2,
+        frequency: 2.4,
+        kFactor: 4 / 3,
+        propagationModel: 'free-space',
+        propagationParameters: {},
+        landCoverLoss: landCoverLoss
+    });
+    const without = context.evaluateRadial(radial(false), parameters()).signalStrength;
+    const loss = (result) => result.signalStrength.map((point, index) => without[index][2] - point[2]);
+
+    const defaults = loss(context.evaluateRadial(radial(true), parameters()));
+    assert.deepStrictEqual(plain(defaults.slice(0, 3)), [0, 0, 0]);
+    assert.ok(Math.abs(defaults[3] - context.weissbergerLoss(100, 2.4)) < 1e-9);
+    assert.ok(Math.abs(defaults[7] - context.weissbergerLoss(200, 2.4)) < 1e-9);
+    assert.ok(Math.abs(defaults[9] - (context.weissbergerLoss(200, 2.4) + 0.02 * 200)) < 1e-9);
+
+    const custom = loss(context.evaluateRadial(radial(true), parameters({forest: {model: 'linear', attenuation: 0.1}})));
+    assert.ok(Math.abs(custom[9] - (0.1 * 200 + 0.02 * 200)) < 1e-9);
+});
+
+test('calcLinkBudget adds the land-cover loss to the path loss', async () => {
+    const profile = {frequency: 5.8, gain: 23, output_power: 20, sensitivity: 80, pattern: {horizontal: Array(360).fill(0), vertical: Array(360).fill(0)}};
+    const antennaFrom = {position: [0, 0], point_dir: 90, install_height: 20, profile: profile},
+        antennaTo = {position: [0, 0.05], point_dir: 270, install_height: 20, profile: profile};
+    const options = {elevationProvider: {getElevations: async locations => locations.map(() => 100)}};
+    const urban = {getClasses: async locations => locations.map(() => 'urban')};
+    const budget = await context.calcLinkBudget(antennaFrom, antennaTo, Object.assign({landCover: urban}, options));
+    //0.05 dB/m over 5.6 km, limited to 20 dB
+    assert.ok(Math.abs(budget.pathLoss - budget.freeSpaceLoss - 20) < 1e-9);
+    const short = await context.calcLinkBudget(antennaFrom, antennaTo, Object.assign({landCover: urban, landCoverLoss: {urban: {model: 'linear', attenuation: 0.001}}}, options));
+    assert.ok(Math.abs(short.pathLoss - short.freeSpaceLoss - 0.001 * short.distance) < 1e-6);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {loadScripts} = require('./helpers');
+
+const context = loadScripts(['Leaflet.Antenna.js', 'Leaflet.Antenna.ITM.js']);
+
+const omnidirectional = {horizontal: Array(360).fill(0), vertical: Array(360).fill(0)};
+const profile = {frequency: 5.8, gain: 23, output_power: 20, sensitivity: 80, pattern: omnidirectional};
+
+/**
+ Returns an elevation provider with flat terrain at 100 m and an optional hill north-south across the equator
+ @param {number} hillHeight: height of the hill above the terrain in meters at longitude 0.02
+ @returns {{getElevations: function(number[][]): Promise<number[]>}} elevation provider
+ */
+function elevationProvider(hillHeight = 0) {
+    return {getElevations: async locations => locations.map(location => 100 + Math.max(0, hillHeight - Math.abs(location[1] - 0.02) * 1e5))};
+}
+
+//about 5.6 km along the equator, pointing at each other
+const antennaFrom = {position: [0, 0], point_dir: 90, install_height: 20, profile: profile};
+const antennaTo = {position: [0, 0.05], point_dir: 270, install_height: 20, profile: profile};
+
+test('calcLinkBudget adds the gains of both ends to the free space loss of a clear link', async () => {
+    const budget = await context.calcLinkBudget(antennaFrom, antennaTo, {elevationProvider: elevationProvider()});
+    assert.ok(Math.abs(budget.distance - 5566) < 1);
+    assert.ok(budget.lineOfSightClear);
+    assert.strictEqual(budget.fresnelClearance, 100);
+    assert.strictEqual(budget.pathLoss, budget.freeSpaceLoss);
+    assert.ok(Math.abs(budget.from.azimuth - 90) < 1e-6 && Math.abs(budget.to.azimuth - 270) < 1e-6);
+    assert.strictEqual(budget.from.gain, 23);
+    assert.ok(Math.abs(budget.to.receivedPower - (20 + 23 + 23 - budget.freeSpaceLoss)) < 1e-9);
+    assert.ok(Math.abs(budget.to.fadeMargin - (budget.to.receivedPower + 80)) < 1e-9);
+    assert.strictEqual(context.linkQuality(budget), 'clear');
+});
+
+test('calcLinkBudget adds the diffraction loss of obstructed links', async () => {
+    const budget = await context.calcLinkBudget(antennaFrom, antennaTo, {elevationProvider: elevationProvider(30)});
+    assert.ok(!budget.lineOfSightClear);
+    assert.ok(budget.fresnelClearance < 0);
+    const obstacles = budget.profile.slice(1, -1);
+    const diffractionLoss = context.diffractionLoss(obstacles, budget.elevationFrom, budget.elevationTo, budget.distance, 5.8, 4 / 3, 'deygout');
+    assert.ok(diffractionLoss > 10);
+    assert.ok(Math.abs(budget.pathLoss - budget.freeSpaceLoss - diffractionLoss) < 1e-9);
+    assert.strictEqual(context.linkQuality(budget), 'blocked');
+});
+
+test('calcLinkBudget adds no diffraction loss to terrain aware models', async () => {
+    const budget = await context.calcLinkBudget(antennaFrom, antennaTo, {elevationProvider: elevationProvider(30), propagationModel: 'itm'});
+    const elevations = budget.profile.map(point => point.height);
+    const itmLoss = context.itmPointToPoint(elevations, budget.distance / (elevations.length - 1), 20, 20, 5.8).loss;
+    assert.ok(!budget.lineOfSightClear);
+    assert.ok(Math.abs(budget.pathLoss - itmLoss) < 1e-9);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {loadScripts, evaluate, plain} = require('./helpers');
+
+/**
+ Returns a link budget with the given results at both ends
+ @param {object} properties: lineOfSightClear, fresnelClearance and the fadeMargin of both ends
+ @returns {object} link budget like calcLinkBudget
+ */
+function budget(properties) {
+    const end = (azimuth, fadeMargin) => ({azimuth: azimuth, elevationAngle: -0.05, patternGain: 0, gain: 23, receivedPower: -80 + fadeMargin, fadeMargin: fadeMargin});
+    return {
+        distance: 5566,
+        pathLoss: 122.7,
+        freeSpaceLoss: 122.66,
+        lineOfSightClear: properties.lineOfSightClear,
+        fresnelClearance: properties.fresnelClearance,
+        from: end(90, properties.fromMargin),
+        to: end(270, properties.toMargin)
+    };
+}
+
+test('linkQuality classifies links by their fade margin, line of sight and fresnel clearance', () => {
+    const context = loadScripts(['Leaflet.Antenna.js']);
+    const link = properties => budget(Object.assign({lineOfSightClear: true, fresnelClearance: 100, fromMargin: 10, toMargin: 10}, properties));
+    assert.strictEqual(context.linkQuality(link({})), 'clear');
+    assert.strictEqual(context.linkQuality(link({fresnelClearance: 50})), 'fresnel-obstructed');
+    assert.strictEqual(context.linkQuality(link({fresnelClearance: 50}), 40), 'clear');
+    assert.strictEqual(context.linkQuality(link({lineOfSightClear: false, fresnelClearance: -20})), 'blocked');
+    //a link out of range is out of range whatever obstructs it
+    assert.strictEqual(context.linkQuality(link({lineOfSightClear: false, fresnelClearance: -20, toMargin: -1})), 'out-of-range');
+});
+
+test('linkTooltipContent and linkBudgetPopupContent show the link budget of both ends', () => {
+    const context = loadScripts(['Leaflet.Antenna.js', 'Leaflet.Antenna.Files.js']);
+    const antennaLink = {
+        antenna_from: 'Tower', antenna_to: 'Roof', quality: 'fresnel-obstructed',
+        budget: budget({lineOfSightClear: true, fresnelClearance: 42.4, fromMargin: 12.34, toMargin: 11.96})
+    };
+    assert.strictEqual(context.linkTooltipContent(antennaLink), 'Tower &harr; Roof (fresnel-obstructed)<br>'
+        + 'Tower: -67.7 dBm, margin 12.3 dB<br>Roof: -68.0 dBm, margin 12.0 dB');
+    const popup = context.linkBudgetPopupContent(antennaLink);
+    assert.ok(popup.startsWith('<b>Tower &harr; Roof</b><br>Distance: 5.57 km<br>Path loss: 122.7 dB (free space: 122.7 dB)<br>'
+        + 'Line of sight: clear, fresnel clearance: 42 %<table>'));
+    assert.ok(popup.includes('<tr><td>Azimuth</td><td>90.0 &deg;</td><td>270.0 &deg;</td></tr>'));
+    assert.ok(popup.includes('<tr><td>Fade margin</td><td>12.3 dB</td><td>12.0 dB</td></tr>'));
+});
+
+test('parseNetworkJSONFile draws the links in the style of their quality', async () => {
+    const pattern = {horizontal: Array(360).fill(0), vertical: Array(360).fill(0)};
+    //b about 5.6 km east of a, c about 220 km east of a
+    const network = {
+        antenna_sites: ['a', 'b', 'c'].map(name => ({
+            site_name: name,
+            installed_antennas: [{antenna_name: name + '_antenna1', point_dir: name === 'a' ? 90 : 270, install_height: 20, antenna_profile: 'PtP'}]
+        })),
+        antenna_profiles: [{profile_name: 'PtP', output_power: 20, gain: 23, sensitivity: 80, frequency: 5.8, pattern: pattern}],
+        antenna_links: [{antenna_from: 'a_antenna1', antenna_to: 'b_antenna1'}, {antenna_from: 'a_antenna1', antenna_to: 'c_antenna1'}]
+    };
+    const marker = (name, lng) => ({feature: {geometry: {type: 'Point', coordinates: [lng, 0]}, properties: {name: name}}});
+    let fired = [];
+    const map = {_layers: {1: marker('a', 0), 2: marker('b', 0.05), 3: marker('c', 2)}, fire: (type, event) => fired.push([type, event])};
+    let lines = [];
+    const polyline = (latLngs, options) => {
+        const line = {latLngs: latLngs, options: options, handlers: {}};
+        Object.assign(line, {
+            addTo: () => line,
+            bindPopup: content => (line.popup = content),
+            bindTooltip: (content, options) => (line.tooltip = [content, options]),
+            on: (type, handler) => (line.handlers[type] = handler)
+        });
+        lines.push(line);
+        return line;
+    };
+    const context = loadScripts(['Leaflet.Antenna.js', 'Leaflet.Antenna.Files.js', 'Leaflet.Antenna.Validation.js'], {
+        L: {extend: Object.assign, polyline: polyline},
+        fetch: async () => ({json: async () => JSON.parse(JSON.stringify(network))})
+    });
+    const linkStyles = evaluate(context, 'LINK_STYLES');
+    const antennaData = await context.parseNetworkJSONFile('network.json', map, {
+        elevationProvider: {getElevations: async locations => locations.map(() => 100)},
+        linkOptions: {linkStyles: {'out-of-range': {color: '#000000'}}}
+    });
+    const [clear, outOfRange] = antennaData[0].links;
+    assert.deepStrictEqual([clear.quality, outOfRange.quality], ['clear', 'out-of-range']);
+    assert.deepStrictEqual(plain(lines.map(line => line.options)), [plain(linkStyles['clear']), Object.assign(plain(linkStyles['out-of-range']), {color: '#000000'})]);
+    assert.strictEqual(clear.line, lines[0]);
+    assert.strictEqual(lines[0].popup, context.linkBudgetPopupContent(clear));
+    assert.deepStrictEqual(plain(lines[1].tooltip), [context.linkTooltipContent(outOfRange), {sticky: true}]);
+
+    lines[1].handlers.click();
+    assert.strictEqual(fired.length, 1);
+    assert.strictEqual(fired[0][0], 'antennalinkclick');
+    assert.strictEqual(fired[0][1].link, outOfRange);
+});
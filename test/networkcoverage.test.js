@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {loadScripts, plain} = require('./helpers');
+
+//the parts of Leaflet drawRadiationPattern, drawSignalStrength and drawNetworkCoverage use, each layer records its options and data
+function leaflet() {
+    return {
+        extend: Object.assign,
+        TileLayer: {maskCanvas: options => ({options: options, setData: function (data) { this.data = data; }})},
+        gridLayer: {signalStrength: options => ({options: options, setData: function (data) { this.data = data; }})},
+        polygon: (latLngs, options) => ({latLngs: latLngs, options: options}),
+        layerGroup: layers => ({layers: layers, addTo: function (map) { return map.addLayer(this); }}),
+        control: {
+            layers: (baseLayers, overlays, options) => ({
+                options: options,
+                overlays: [],
+                addOverlay: function (layer, name) { this.overlays.push([name, layer]); },
+                addTo: function (map) { map.controls.push(this); return this; }
+            })
+        }
+    };
+}
+
+/**
+ Returns a stub of a map which keeps its layers and controls
+ @returns {object} map
+ */
+function createMap() {
+    const map = {
+        layers: [],
+        controls: [],
+        getPane: () => ({}),
+        addLayer: layer => (map.layers.push(layer), layer)
+    };
+    return map;
+}
+
+const omnidirectional = {horizontal: Array(360).fill(0), vertical: Array(360).fill(0)};
+const antProfile = {profile_name: 'test-AP', output_power: -20, gain: 19, sensitivity: 85, frequency: 2.4, pattern: omnidirectional};
+const antennaData = [
+    {antenna_name: 'a', position: [0, 0], point_dir: 0, install_height: 10, profile: antProfile, cpe: {gain: 12, sensitivity: 90, install_height: 3}},
+    {antenna_name: 'no-position', point_dir: 0, install_height: 10, profile: antProfile},
+    {antenna_name: 'b', position: [0, 0.0027], point_dir: 90, install_height: 10, profile: antProfile}
+];
+
+/**
+ Returns a worker pool which records the parameters of the calculations and reaches one point per radial
+ @param {object[]} calculations: gets the parameters of every call
+ @returns {object} worker pool
+ */
+function workerPool(calculations) {
+    return {
+        evaluate: async (radials, parameters) => {
+            calculations.push(parameters);
+            return radials.map(radial => ({good: [radial.points[0].latLng], okay: [], bad: [], signalStrength: [radial.points[0].latLng.concat(-60)]}));
+        }
+    };
+}
+
+test('drawNetworkCoverage draws every antenna as layer of a new layer control', async () => {
+    const L = leaflet();
+    const context = loadScripts(['Leaflet.Antenna.js', 'Leaflet.Antenna.Files.js'], {L: L});
+    const map = createMap();
+    let calculations = [];
+    const result = await context.drawNetworkCoverage(antennaData, map, {elevationProvider: {getElevations: async locations => locations.map(() => 100)}, workerPool: workerPool(calculations)});
+
+    assert.deepStrictEqual(Object.keys(result.layers), ['a', 'b']);
+    assert.deepStrictEqual(map.controls, [result.layerControl]);
+    assert.deepStrictEqual(plain(result.layerControl.options), {collapsed: false});
+    assert.deepStrictEqual(result.layerControl.overlays, [['a', result.layers.a], ['b', result.layers.b]]);
+    assert.deepStrictEqual(map.layers, [result.layers.a, result.layers.b]);
+    //good, okay and badly reachable points and the border
+    assert.strictEqual(result.layers.a.layers.length, 4);
+    assert.strictEqual(result.layers.a.layers[0].data.length, 360);
+    //the clients of a receive with its cpe, the clients of b with the antenna itself
+    assert.deepStrictEqual([calculations[0].gainRXAntenna, calculations[360].gainRXAntenna], [12, 19]);
+    assert.strictEqual(calculations.length, 720);
+});
+
+test('drawNetworkCoverage adds the signal strength of every antenna to a given layer control', async () => {
+    const L = leaflet();
+    const context = loadScripts(['Leaflet.Antenna.js', 'Leaflet.Antenna.Files.js'], {L: L});
+    const map = createMap();
+    const layerControl = L.control.layers();
+    const result = await context.drawNetworkCoverage(antennaData, map, {
+        elevationProvider: {getElevations: async locations => locations.map(() => 100)},
+        workerPool: workerPool([]),
+        layerControl: layerControl,
+        signalStrength: {radius: 50}
+    });
+
+    assert.strictEqual(result.layerControl, layerControl);
+    assert.deepStrictEqual(map.controls, []);
+    assert.deepStrictEqual(layerControl.overlays.map(overlay => overlay[0]), ['a', 'a (signal strength)', 'b', 'b (signal strength)']);
+    const signalStrength = result.layers['b (signal strength)'];
+    assert.deepStrictEqual(plain(signalStrength.options), {radius: 50});
+    assert.ok(map.layers.includes(signalStrength));
+    assert.strictEqual(signalStrength.data.length, 360);
+    assert.ok(signalStrength.data.every(point => point[2] === -60));
+});
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {loadScripts, plain} = require('./helpers');
+
+//antenna files by url, served by the fetch stub
+const files = {
+    'Brand-AP-Gen2.ant': fs.readFileSync(path.join(__dirname, '..', 'example', 'Brand-AP-Gen2.ant'), 'utf8'),
+    'Vendor-Sector.msi': [
+        'NAME Vendor Sector 90',
+        'FREQUENCY 2400-2500',
+        'GAIN 15.85',
+        'TILT ELECTRICAL',
+        'HORIZONTAL 4',
+        '0 0',
+        '90 10',
+        '180 30',
+        '270 10',
+        'VERTICAL 4',
+        '0 0',
+        '10 20',
+        '180 30',
+        '350 20'
+    ].join('\r\n'),
+    'Vendor-Dish.nsma': [
+        'REVNUM:,TIA/EIA-804-B',
+        'ANTMAN:,Vendor',
+        'MODNUM:,DISH-2FT',
+        'LOWFRQ:,5725',
+        'HGHFRQ:,5875',
+        'GUNITS:,DBI/DBR',
+        'MDGAIN:,28.5',
+        'PATCUT:,AZ',
+        'POLARI:,H/H',
+        'NUPOINTS:,5',
+        'FSTLST:,-180,180',
+        '-180,-50,',
+        '-5,-10,',
+        '0,0,',
+        '5,-10,',
+        '180,-50,',
+        'PATCUT:,AZ',
+        'POLARI:,H/V',
+        'NUPOINTS:,3',
+        'FSTLST:,-180,180',
+        '-180,-60,',
+        '0,-30,',
+        '180,-60,',
+        'PATCUT:,EL',
+        'POLARI:,H/H',
+        'NUPOINTS:,3',
+        'FSTLST:,-10,10',
+        '-10,-20,',
+        '0,0,',
+        '10,-16,',
+        'ENDFIL:,EOF'
+    ].join('\n')
+};
+//same dish as ADF file with the gain in dBd and the center frequency
+files['Vendor-Dish.adf'] = files['Vendor-Dish.nsma']
+    .replace('TIA/EIA-804-B', 'ADF 1.0')
+    .replace('GUNITS:,DBI/DBR', 'GUNITS:,DBD/DBR')
+    .replace('MDGAIN:,28.5', 'MDGAIN:,26.35\nPATFRE:,5800');
+const context = loadScripts(['Leaflet.Antenna.Files.js'], {
+    fetch: async url => ({text: async () => files[url]})
+});
+
+test('parseMsiText reads name, band center, gain in dBi and the attenuation as negative pattern values', () => {
+    const profile = context.parseMsiText(files['Vendor-Sector.msi']);
+    assert.strictEqual(profile.profile_name, 'Vendor Sector 90');
+    assert.strictEqual(profile.frequency, 2.45);
+    //dBd without unit, 0 dBd == 2.15 dBi
+    assert.strictEqual(profile.gain, 18);
+    assert.deepStrictEqual(plain([0, 45, 90, 135, 180, 315].map(angle => profile.pattern.horizontal[angle])), [0, -5, -10, -20, -30, -5]);
+    //vertical angles downwards from the horizon, 350 is 10° above it
+    assert.deepStrictEqual(plain([0, 5, 10, 355].map(angle => profile.pattern.vertical[angle])), [0, -10, -20, -10]);
+    assert.strictEqual(context.parseMsiText('GAIN 18 dBi').gain, 18);
+});
+
+test('parseAntennaFile detects Planet/MSI files and keeps the file name', async () => {
+    assert.strictEqual(context.detectAntennaFileFormat(files['Vendor-Sector.msi']), 'msi');
+    assert.strictEqual(context.detectAntennaFileFormat(files['Brand-AP-Gen2.ant']), 'ant');
+    const profile = await context.parseAntennaFile('Vendor-Sector.msi');
+    assert.strictEqual(profile.ant_file, 'Vendor-Sector.msi');
+    assert.strictEqual(profile.gain, 18);
+    await assert.rejects(context.parseAntennaFile('Vendor-Sector.msi', 'pln'), /Unknown antenna file format: pln/);
+});
+
+test('loadAntennaProfile takes missing frequency and gain from the antenna file', async () => {
+    const profile = await context.loadAntennaProfile({profile_name: 'sector', gain: 16, ant_file: 'Vendor-Sector.msi'});
+    assert.strictEqual(profile.gain, 16);
+    assert.strictEqual(profile.frequency, 2.45);
+    assert.strictEqual(profile.pattern.horizontal[90], -10);
+});
+
+test('parseAntFile returns the horizontal values of an .ant file', async () => {
+    const values = files['Brand-AP-Gen2.ant'].trim().split(/\r?\n/).map(Number);
+    assert.deepStrictEqual(plain(await context.parseAntFile('Brand-AP-Gen2.ant')), plain(values.slice(0, 360)));
+});
+
+test('parseNsmaText maps co-polar and cross-polar envelopes onto the pattern', () => {
+    const profile = context.parseNsmaText(files['Vendor-Dish.nsma']);
+    assert.strictEqual(profile.profile_name, 'Vendor DISH-2FT');
+    assert.strictEqual(profile.frequency, 5.8);
+    assert.strictEqual(profile.gain, 28.5);
+    assert.deepStrictEqual(plain([0, 1, 5, 180, 355].map(angle => profile.pattern.horizontal[angle])), [0, -2, -10, -50, -10]);
+    assert.strictEqual(profile.pattern.horizontalCrossPolar[0], -30);
+    assert.strictEqual(profile.pattern.horizontalCrossPolar[180], -60);
+    //elevation angles of the file are above the horizon, the pattern angles below it
+    assert.deepStrictEqual(plain([0, 10, 350].map(angle => profile.pattern.vertical[angle])), [0, -20, -16]);
+    assert.strictEqual(profile.pattern.verticalCrossPolar, undefined);
+});
+
+test('parseAntennaFile detects NSMA and ADF files, ADF gains in dBd are converted to dBi', async () => {
+    assert.strictEqual(context.detectAntennaFileFormat(files['Vendor-Dish.nsma']), 'nsma');
+    assert.strictEqual(context.detectAntennaFileFormat(files['Vendor-Dish.adf']), 'adf');
+    assert.strictEqual(context.detectAntennaFileFormat(files['Vendor-Dish.nsma'].replace('REVNUM:,TIA/EIA-804-B\n', '')), 'nsma');
+    const nsma = await context.parseAntennaFile('Vendor-Dish.nsma');
+    const adf = await context.parseAntennaFile('Vendor-Dish.adf');
+    assert.strictEqual(adf.ant_file, 'Vendor-Dish.adf');
+    assert.ok(Math.abs(adf.gain - 28.5) < 1e-9);
+    assert.strictEqual(adf.frequency, 5.8);
+    assert.deepStrictEqual(plain(adf.pattern), plain(nsma.pattern));
+    //the format of the profile takes precedence over the detection
+    assert.strictEqual((await context.parseAntennaFile('Vendor-Dish.adf', 'msi')).gain, undefined);
+    assert.deepStrictEqual(plain(await context.parseAntennaPattern('Vendor-Dish.nsma', 'nsma')), plain(nsma.pattern));
+});
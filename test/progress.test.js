@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {loadScripts, plain} = require('./helpers');
+
+const context = loadScripts(['Leaflet.Antenna.js']);
+
+const omnidirectional = {horizontal: Array(360).fill(0), vertical: Array(360).fill(0)};
+//low output power, so each radial only has a few points
+const antProfile = {output_power: -20, gain: 19, sensitivity: 85, frequency: 2.4, pattern: omnidirectional};
+const flatTerrain = {getElevations: async locations => locations.map(() => 100)};
+
+test('calcRadPatternWithObstacles reports the progress and the result of every radial', async () => {
+    let progress = [],
+        radials = [];
+    const result = await context.calcRadPatternWithObstacles([0, 0], 0, 10, antProfile, {
+        elevationProvider: flatTerrain,
+        onProgress: event => progress.push(event),
+        onRadial: (antennaAngle, radialResult) => radials.push([antennaAngle, radialResult])
+    });
+    const pointsPerRadial = Math.floor(context.maxDistance(2.4, -20, 85, 0, 19) / 50);
+    assert.strictEqual(progress.length, 360);
+    assert.deepStrictEqual(plain(progress.map(event => event.radialsDone)), Array.from({length: 360}, (value, index) => index + 1));
+    assert.ok(progress.every(event => event.radialsTotal === 360));
+    assert.strictEqual(progress[0].pointsSampled, pointsPerRadial);
+    assert.strictEqual(progress[359].pointsSampled, 360 * pointsPerRadial);
+    assert.strictEqual(progress[359].estimatedTimeLeft, 0);
+    assert.ok(progress.every(event => event.estimatedTimeLeft >= 0));
+
+    assert.deepStrictEqual(plain(radials.map(radial => radial[0])), Array.from({length: 360}, (value, index) => index));
+    //the partial results add up to the result
+    assert.deepStrictEqual(plain([].concat(...radials.map(radial => radial[1].signalStrength))), plain(result[4]));
+});
+
+test('calcRadPatternWithObstacles stops when the signal is aborted', async () => {
+    const aborted = new AbortController();
+    aborted.abort();
+    await assert.rejects(context.calcRadPatternWithObstacles([0, 0], 0, 10, antProfile, {elevationProvider: flatTerrain, signal: aborted.signal}),
+        {name: 'AbortError'});
+
+    const controller = new AbortController();
+    let radialsDone = 0;
+    await assert.rejects(context.calcRadPatternWithObstacles([0, 0], 0, 10, antProfile, {
+        elevationProvider: flatTerrain,
+        signal: controller.signal,
+        onProgress: event => {
+            radialsDone = event.radialsDone;
+            if (event.radialsDone === 10) {
+                controller.abort(new Error('antenna moved'));
+            }
+        }
+    }), /antenna moved/);
+    //no further radials are evaluated
+    assert.strictEqual(radialsDone, 10);
+});
+
+test('calcRadPatternWithObstacles stops waiting for the workers when the signal is aborted', async () => {
+    const controller = new AbortController();
+    let signals = [];
+    //workers which never finish
+    const workerPool = {
+        evaluate: (radials, parameters, signal) => {
+            signals.push(signal);
+            return new Promise(() => undefined);
+        }
+    };
+    const calculation = context.calcRadPatternWithObstacles([0, 0], 0, 10, antProfile, {elevationProvider: flatTerrain, workerPool: workerPool, signal: controller.signal});
+    await new Promise(resolve => setTimeout(resolve, 50));
+    controller.abort();
+    await assert.rejects(calculation, {name: 'AbortError'});
+    assert.ok(signals.length > 0 && signals.every(signal => signal === controller.signal));
+});
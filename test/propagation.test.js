@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {loadScripts, plain} = require('./helpers');
+
+const context = loadScripts(['Leaflet.Antenna.js', 'Leaflet.Antenna.ITM.js']);
+
+/**
+ Creates a radial for evaluateRadial with points every 100 m
+ @param {number[]} heights: terrain elevation of the points, starting with the position of the transmitting antenna
+ @returns {{antennaAngle: number, points: object[]}} radial
+ */
+function radial(heights) {
+    return {antennaAngle: 0, points: heights.map((height, index) => ({latLng: [0, index], height: height, distance: index * 100}))};
+}
+
+/**
+ Returns the parameters of evaluateRadial for an omnidirectional antenna at 30 m above flat terrain at 100 m and a 20 dBi receiving antenna at 10 m
+ @param {object} [overrides]: parameters to change
+ @returns {object} parameters
+ */
+function parameters(overrides = {}) {
+    return Object.assign({
+        pattern: {horizontal: Array(360).fill(0), vertical: Array(360).fill(0)},
+        gainRXAntenna: 20,
+        outputPowerTXAntenna: 20,
+        sensitivityRXAntenna: 90,
+        elevationTXAntenna: 130,
+        heightTXAntenna: 30,
+        heightRXAntenna: 10,
+        frequency: 0.9,
+        kFactor: 4 / 3,
+        propagationModel: 'free-space',
+        propagationParameters: {},
+        mechanicalDowntilt: 0,
+        electricalDowntilt: 0
+    }, overrides);
+}
+
+//5 km with a 60 m hill at 2 km, which hides the points behind it
+const hill = Array(51).fill(100).map((height, index) => height + Math.max(0, 60 - Math.abs(index - 20) * 20));
+
+test('propagationLoss uses the registered model and rejects unknown models', () => {
+    context.registerPropagationModel('test-constant', path => 42 + path.parameters.extraLoss);
+    assert.strictEqual(context.propagationLoss('test-constant', {parameters: {extraLoss: 1}}), 43);
+    assert.throws(() => context.propagationLoss('test-unknown', {}), /Unknown propagation model: test-unknown/);
+    assert.ok(!context.isTerrainAwarePropagationModel('test-constant'));
+    context.registerPropagationModel('test-constant', () => 42, {terrainAware: true});
+    assert.ok(context.isTerrainAwarePropagationModel('test-constant'));
+    context.registerPropagationModel('test-constant', () => 42);
+    assert.ok(!context.isTerrainAwarePropagationModel('test-constant'));
+});
+
+test('evaluateRadial drops obstructed points only for models without terrain', () => {
+    context.registerPropagationModel('test-constant', () => 100);
+    const freeSpace = context.evaluateRadial(radial(hill), parameters());
+    const constant = context.evaluateRadial(radial(hill), parameters({propagationModel: 'test-constant'}));
+    //up to the top of the hill
+    assert.strictEqual(freeSpace.signalStrength.length, 20);
+    assert.strictEqual(constant.signalStrength.length, 20);
+    //received power: 20 dBm + 20 dBi - 100 dB
+    assert.ok(constant.signalStrength.every(point => point[2] === -60));
+    context.registerPropagationModel('test-constant', () => 100, {terrainAware: true});
+    assert.strictEqual(context.evaluateRadial(radial(hill), parameters({propagationModel: 'test-constant'})).signalStrength.length, 50);
+});
+
+test('evaluateRadial adds no diffraction loss to terrain aware models', () => {
+    const withoutDiffraction = context.evaluateRadial(radial(hill), parameters({propagationModel: 'itm', sensitivityRXAntenna: 120}));
+    const withDiffraction = context.evaluateRadial(radial(hill), parameters({propagationModel: 'itm', sensitivityRXAntenna: 120, diffractionModel: 'deygout'}));
+    assert.ok(withoutDiffraction.bad.length > 0);
+    assert.deepStrictEqual(plain(withDiffraction), plain(withoutDiffraction));
+    //the diffraction loss still applies to free space propagation
+    const freeSpace = context.evaluateRadial(radial(hill), parameters({diffractionModel: 'deygout'}));
+    const behindHill = freeSpace.signalStrength.filter(point => point[1] > 20);
+    assert.ok(behindHill.length > 0);
+    assert.ok(behindHill.every(point => point[2] < 20 + 20 - context.freeSpacePathLoss(point[1] * 100, 0.9, 0, 0)));
+});
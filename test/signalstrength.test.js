@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {loadScripts, plain} = require('./helpers');
+
+//the parts of Leaflet the signal strength layer and drawSignalStrength use
+const L = {
+    extend: Object.assign,
+    setOptions: (object, options) => (object.options = Object.assign({}, object.options, options)),
+    GridLayer: {MaskCanvas: {extend: properties => Object.assign(function (options) { this.initialize(options); }, {prototype: properties})}},
+    gridLayer: {}
+};
+const context = loadScripts(['L.GridLayer.SignalStrength.js', 'Leaflet.Antenna.Files.js'], {L: L});
+
+test('L.GridLayer.SignalStrength interpolates the colors between the thresholds of the colour ramp', () => {
+    const layer = L.gridLayer.signalStrength({colorRamp: [{power: -60, color: '#00ff00'}, {power: -80, color: '#ff0000'}]});
+    assert.deepStrictEqual(plain(layer.options.colorRamp.map(stop => stop.power)), [-80, -60]);
+    assert.strictEqual(layer.getColor(-90), '#ff0000');
+    assert.strictEqual(layer.getColor(-70), 'rgb(128,128,0)');
+    assert.strictEqual(layer.getColor(-75), 'rgb(191,64,0)');
+    assert.strictEqual(layer.getColor(-50), '#00ff00');
+    //the default ramp
+    assert.strictEqual(L.gridLayer.signalStrength().getColor(-90), '#d7191c');
+});
+
+test('L.GridLayer.SignalStrength with a discrete colour ramp skips points below all thresholds', () => {
+    const layer = L.gridLayer.signalStrength();
+    layer.redraw = () => undefined;
+    layer.setColorRamp([{power: -65, color: '#1a9641'}, {power: -80, color: '#fdae61'}], true);
+    assert.strictEqual(layer.getColor(-81), undefined);
+    assert.strictEqual(layer.getColor(-80), '#fdae61');
+    assert.strictEqual(layer.getColor(-66), '#fdae61');
+    assert.strictEqual(layer.getColor(-40), '#1a9641');
+});
+
+test('L.GridLayer.SignalStrength adds no helper functions to the page', () => {
+    assert.strictEqual(context.hexToRGB, undefined);
+    assert.deepStrictEqual(plain(L.GridLayer.SignalStrength.prototype._hexToRGB('#1a9641')), [26, 150, 65]);
+});
+
+test('drawSignalStrength adds a layer with the points and options to the map', () => {
+    let layers = [];
+    const points = [[50, 10, -70], [50.001, 10, -60]];
+    const originalFactory = L.gridLayer.signalStrength;
+    L.gridLayer.signalStrength = options => Object.assign(originalFactory(options), {setData: data => (L.drawnPoints = data)});
+    const layer = context.drawSignalStrength(points, {addLayer: layer => layers.push(layer)}, {discrete: true, radius: 10});
+    L.gridLayer.signalStrength = originalFactory;
+    assert.deepStrictEqual(layers, [layer]);
+    assert.strictEqual(L.drawnPoints, points);
+    assert.strictEqual(layer.options.discrete, true);
+    assert.strictEqual(layer.options.radius, 10);
+});
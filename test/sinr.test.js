@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {loadScripts, evaluate, plain} = require('./helpers');
+
+const context = loadScripts(['Leaflet.Antenna.js']);
+const channel = number => ({channel: number, frequency: context.channelFrequency(number, 2.4), bandwidth: 20});
+
+test('channelFrequency returns the center frequency of WLAN channels', () => {
+    assert.strictEqual(context.channelFrequency(1, 2.4), 2412);
+    assert.strictEqual(context.channelFrequency(14, 2.4), 2484);
+    assert.strictEqual(context.channelFrequency(36, 5), 5180);
+    assert.strictEqual(context.channelFrequency(5, 6), 5975);
+    assert.throws(() => context.channelFrequency(1, 60), /Unknown channel band: 60/);
+});
+
+test('channelRejection distinguishes co-channel, adjacent and distant channels', () => {
+    assert.ok(context.channelRejection(channel(1), channel(1)) === 0);
+    assert.ok(Math.abs(context.channelRejection(channel(1), channel(3)) - 10 * Math.log10(2)) < 1e-9);
+    assert.strictEqual(context.channelRejection(channel(1), channel(6), 25), 25);
+    assert.strictEqual(context.channelRejection(channel(1), channel(11)), Infinity);
+});
+
+test('calcSINR counts co-channel antennas as interference', () => {
+    const cells = [{latLng: [50, 10], power: -60, server: 'a', powers: {a: -60, b: -70, c: -70}}];
+    const [cell] = context.calcSINR(cells, {a: channel(1), b: channel(1)});
+    assert.strictEqual(cell.interference, -70);
+    assert.ok(Math.abs(cell.noise - (-174 + 10 * Math.log10(20e6) + 7)) < 1e-9);
+    assert.ok(Math.abs(cell.sinr - 9.9827) < 1e-4);
+});
+
+test('calcSINR rejects adjacent channels and limits cells without interferers by the noise', () => {
+    const cells = [
+        {latLng: [50, 10], power: -60, server: 'a', powers: {a: -60, b: -50}},
+        {latLng: [50, 10.001], power: -60, server: 'c', powers: {b: -50, c: -60}}
+    ];
+    const [adjacent, withoutChannel] = context.calcSINR(cells, {a: channel(1), b: channel(6)}, {adjacentChannelRejection: 30, noiseFigure: 5});
+    assert.strictEqual(adjacent.interference, -80);
+    assert.ok(Math.abs(adjacent.noise - (-174 + 10 * Math.log10(20e6) + 5)) < 1e-9);
+    //a server without channel receives no interference
+    assert.strictEqual(withoutChannel.interference, -Infinity);
+    assert.ok(Math.abs(withoutChannel.sinr - (-60 - withoutChannel.noise)) < 1e-9);
+});
+
+test('drawSINRCoverage uses the channels of the antennas and draws the SINR in cells of the given size', async () => {
+    let layerOptions;
+    const L = {
+        extend: Object.assign,
+        gridLayer: {signalStrength: options => (layerOptions = options, {setData: points => (L.drawnPoints = points)})}
+    };
+    const files = loadScripts(['Leaflet.Antenna.js', 'Leaflet.Antenna.Files.js'], {L: L});
+    const profile = {output_power: -20, gain: 19, sensitivity: 85, frequency: 2.4, pattern: {horizontal: Array(360).fill(0), vertical: Array(360).fill(0)}};
+    //two antennas about 300 m apart on the same channel and a third one without channel
+    const antennaData = [
+        {antenna_name: 'a', position: [0, 0], point_dir: 0, install_height: 10, profile: profile, channel: 1, bandwidth: 20, channel_frequency: 2412},
+        {antenna_name: 'b', position: [0, 0.0027], point_dir: 0, install_height: 10, profile: profile, channel: 1, bandwidth: 20, channel_frequency: 2412},
+        {antenna_name: 'c', position: [0.0027, 0], point_dir: 0, install_height: 10, profile: profile}
+    ];
+    const result = await files.drawSINRCoverage(antennaData, {addLayer: () => undefined}, {
+        elevationProvider: {getElevations: async locations => locations.map(() => 100)},
+        cellSize: 100
+    });
+
+    assert.strictEqual(layerOptions.radius, 50);
+    assert.deepStrictEqual(plain(layerOptions.colorRamp), plain(evaluate(files, 'SINR_COLOR_RAMP')));
+    assert.deepStrictEqual(plain(L.drawnPoints), plain(result.cells.map(cell => [cell.latLng[0], cell.latLng[1], cell.sinr])));
+    const interfered = result.cells.filter(cell => cell.server === 'a' && cell.interference > -Infinity);
+    assert.ok(interfered.length > 0);
+    assert.ok(result.cells.filter(cell => cell.server === 'c').every(cell => cell.interference === -Infinity));
+});
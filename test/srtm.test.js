@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {loadScripts, plain} = require('./helpers');
+
+const context = loadScripts(['Leaflet.Antenna.SRTM.js']);
+const HGT_VOID = -32768;
+
+//SRTM3 tile with the elevation row * 10 + column, big-endian
+function hgtBuffer(voids = []) {
+    const size = 1201;
+    let view = new DataView(new ArrayBuffer(size * size * 2));
+    for (let row = 0; row < size; row++) {
+        for (let column = 0; column < size; column++) {
+            view.setInt16((row * size + column) * 2, row * 10 + column);
+        }
+    }
+    for (const [row, column] of voids) {
+        view.setInt16((row * size + column) * 2, HGT_VOID);
+    }
+    return view.buffer;
+}
+
+test('hgtTileName names the tile after its south-west corner', () => {
+    assert.strictEqual(context.hgtTileName([51.33849, 12.40729]), 'N51E012');
+    assert.strictEqual(context.hgtTileName([-0.5, -70.1]), 'S01W071');
+});
+
+test('parseHgtTile reads big-endian elevations and rejects other sizes', () => {
+    const tile = context.parseHgtTile(hgtBuffer());
+    assert.strictEqual(tile.size, 1201);
+    assert.strictEqual(tile.elevations[1201 + 2], 12);
+    assert.throws(() => context.parseHgtTile(new ArrayBuffer(10)), /Unknown .hgt size: 10/);
+});
+
+test('fillHgtVoids interpolates voids from their row and column', () => {
+    const tile = context.fillHgtVoids(context.parseHgtTile(hgtBuffer([[5, 5], [5, 6]])));
+    //the elevations are linear in rows and columns, so inverse distance weighting restores them
+    assert.deepStrictEqual(plain(Array.from(tile.elevations.slice(5 * 1201 + 4, 5 * 1201 + 8))), [54, 55, 56, 57]);
+});
+
+test('createSRTMElevationProvider interpolates between the measurements of a tile file', async () => {
+    const file = {name: 'N51E012.hgt', arrayBuffer: async () => hgtBuffer()};
+    const provider = context.createSRTMElevationProvider([file]);
+    //the centre of the tile is row 600 and column 600, half a step south and east of it lies between four measurements
+    const step = 1 / 1200;
+    const elevations = await provider.getElevations([[51.5, 12.5], [51.5 - step / 2, 12.5 + step / 2], [50.5, 12.5]]);
+    assert.ok(Math.abs(elevations[0] - 6600) < 1e-6);
+    assert.ok(Math.abs(elevations[1] - 6605.5) < 1e-6);
+    assert.ok(Number.isNaN(elevations[2]));
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {loadScripts, plain} = require('./helpers');
+
+/**
+ Returns a stub of a DOM element, canvases record the arcs drawn on them
+ @param {string} tagName: tag of the element
+ @returns {object} element
+ */
+function element(tagName) {
+    const created = {tagName: tagName, style: {}, children: [], arcs: []};
+    created.getContext = () => {
+        const ctx = {
+            arc: (x, y) => created.arcs.push({x: x, y: y, color: ctx.fillStyle})
+        };
+        for (const method of ['clearRect', 'beginPath', 'moveTo', 'lineTo', 'closePath', 'fill', 'stroke', 'fillText']) {
+            ctx[method] = () => undefined;
+        }
+        return ctx;
+    };
+    return created;
+}
+
+const L = {
+    Control: {extend: properties => Object.assign(function (options) { this.options = Object.assign({}, properties.options, options); }, {prototype: properties})},
+    control: {},
+    DomUtil: {
+        create: (tagName, className, container) => {
+            const created = Object.assign(element(tagName), {className: className});
+            if (container) {
+                container.children.push(created);
+            }
+            return created;
+        }
+    },
+    DomEvent: {
+        on: (target, type, handler) => (target['on' + type] = handler),
+        preventDefault: () => undefined,
+        disableClickPropagation: () => undefined,
+        disableScrollPropagation: () => undefined
+    }
+};
+//the control is added to the stub of L
+loadScripts(['Leaflet.Antenna.js', 'L.Control.TerrainProfile.js'], {L: L});
+
+/**
+ Returns a stub of a map, which calls the handlers of the events fired on it
+ @returns {object} map
+ */
+function createMap() {
+    let handlers = [];
+    return {
+        handlers: handlers,
+        on: (type, handler, thisArg) => handlers.push([type, handler, thisArg]),
+        off: (type, handler, thisArg) => handlers.splice(handlers.findIndex(entry => entry[0] === type && entry[1] === handler && entry[2] === thisArg), 1),
+        fire: (type, event) => handlers.filter(entry => entry[0] === type).forEach(([, handler, thisArg]) => handler.call(thisArg, event))
+    };
+}
+
+//1 km between two antennas 50 m above flat terrain, a hill at 500 m, a tree at 700 m and a rock in the first fresnel zone at 300 m
+const budget = {
+    distance: 1000,
+    fresnelClearance: -60,
+    frequency: 2.4,
+    kFactor: Infinity,
+    elevationFrom: 150,
+    elevationTo: 150,
+    profile: Array.from({length: 11}, (value, index) => ({
+        distance: index * 100,
+        height: index === 5 ? 160 : (index === 3 ? 148 : 100),
+        clutterHeight: index === 7 ? 55 : 0
+    }))
+};
+
+test('L.Control.TerrainProfile shows the profile of a clicked link until it is closed', () => {
+    const map = createMap();
+    const control = L.control.terrainProfile({width: 400});
+    const container = control.onAdd(map);
+    assert.strictEqual(container.style.display, 'none');
+    const [header, canvas] = container.children;
+    assert.strictEqual(canvas.tagName, 'canvas');
+    assert.deepStrictEqual([canvas.width, canvas.height], [400, 220]);
+
+    map.fire('antennalinkclick', {link: {antenna_from: 'Tower', antenna_to: 'Roof', budget: budget}});
+    assert.strictEqual(container.style.display, '');
+    assert.strictEqual(header.children[0].innerHTML, 'Tower &harr; Roof: 1.00 km, fresnel clearance -60 %');
+
+    header.children[1].onclick({});
+    assert.strictEqual(container.style.display, 'none');
+    control.onRemove(map);
+    assert.strictEqual(map.handlers.length, 0);
+});
+
+test('L.Control.TerrainProfile marks the points obstructing the line of sight or the first fresnel zone', () => {
+    const control = L.control.terrainProfile();
+    const canvas = control.onAdd(createMap()).children[1];
+    control.showLink({antenna_from: 'Tower', antenna_to: 'Roof', budget: budget});
+    //600 pixels wide with margins of 45 and 10 pixels
+    const x = distance => 45 + distance / 1000 * 545;
+    assert.deepStrictEqual(plain(canvas.arcs.map(arc => [arc.x, arc.color])), [
+        [x(300), '#fdae61'],
+        [x(500), '#d7191c'],
+        [x(700), '#d7191c']
+    ]);
+    //the tree is marked at its top, the chart spans from 5 m below the terrain to 5 m above the hill
+    const y = elevation => 10 + (165 - elevation) / 70 * 190;
+    assert.ok(Math.abs(canvas.arcs[2].y - y(155)) < 1e-9);
+
+    const clear = Object.assign({}, budget, {fresnelClearance: 100, profile: budget.profile.map(point => ({distance: point.distance, height: 100}))});
+    canvas.arcs.length = 0;
+    control.showLink({antenna_from: 'Tower', antenna_to: 'Roof', budget: clear});
+    assert.strictEqual(canvas.arcs.length, 0);
+});
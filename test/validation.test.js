@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {loadScripts, plain} = require('./helpers');
+
+const schema = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'network.schema.json'), 'utf8'));
+const readExample = name => JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'example', name), 'utf8'));
+
+test('validateNetwork accepts the example networks', () => {
+    const context = loadScripts(['Leaflet.Antenna.Validation.js']);
+    for (const name of ['network_example.json', 'network_example_simple.json']) {
+        assert.deepStrictEqual(plain(context.validateNetwork(readExample(name), {schema: schema, markerNames: ['site1', 'site2']})), []);
+    }
+});
+
+test('validateNetwork reports schema errors and unknown references with their JSON path', () => {
+    const context = loadScripts(['Leaflet.Antenna.Validation.js']);
+    let network = readExample('network_example.json');
+    network.antenna_sites[0].installed_antennas[0].point_dir = '225';
+    network.antenna_sites[0].installed_antennas[0].instal_height = 3;
+    network.antenna_sites[0].installed_antennas[0].antenna_profile = 'Brand-AP-Gen3';
+    network.antenna_sites[1].site_name = 'site3';
+    delete network.antenna_sites[1].installed_antennas[0].install_height;
+    network.antenna_profiles[1].ant_format = 'foo';
+    network.antenna_links[0].antenna_to = 'site2_antena1';
+    network.antenna_links.push({antenna_from: 'site2_antenna1', antenna_to: 'site2_antenna1'});
+
+    assert.deepStrictEqual(plain(context.validateNetwork(network, {schema: schema, markerNames: ['site1', 'site2']})), [
+        {path: '$.antenna_sites[0].installed_antennas[0].point_dir', message: 'Expected number but got string "225"'},
+        {path: '$.antenna_sites[0].installed_antennas[0].instal_height', message: "Unknown property 'instal_height', did you mean 'install_height'?"},
+        {path: '$.antenna_sites[1].installed_antennas[0].install_height', message: "Missing required property 'install_height'"},
+        {path: '$.antenna_profiles[1].ant_format', message: 'Expected one of "ant", "msi", "nsma", "adf" but got "foo"'},
+        {path: '$.antenna_sites[1].site_name', message: "No map marker named 'site3', did you mean 'site1'?"},
+        {path: '$.antenna_sites[0].installed_antennas[0].antenna_profile', message: "Unknown antenna profile 'Brand-AP-Gen3', did you mean 'Brand-AP-Gen2'?"},
+        {path: '$.antenna_links[0].antenna_to', message: "Unknown antenna 'site2_antena1', did you mean 'site2_antenna1'?"},
+        {path: '$.antenna_links[1].antenna_to', message: "Link from antenna 'site2_antenna1' to itself"}
+    ]);
+});
+
+test('validateNetwork checks the properties of profiles per role', () => {
+    const context = loadScripts(['Leaflet.Antenna.Validation.js']);
+    let network = readExample('network_example.json');
+    delete network.antenna_profiles[0].output_power;
+    delete network.antenna_profiles[1].gain;
+    assert.deepStrictEqual(plain(context.validateNetwork(network)), [
+        {
+            path: '$.antenna_profiles[0].output_power',
+            message: "Missing property 'output_power' of antenna profile 'Brand-AP-Gen2' used as antenna_profile of antenna 'site1_antenna1'"
+        },
+        {
+            path: '$.antenna_profiles[1].gain',
+            message: "Missing property 'gain' of antenna profile 'Brand-CPE-Gen1' used as cpe_profile of antenna 'site1_antenna1'"
+        }
+    ]);
+});
+
+test('validateNetwork rejects documents which are no objects', () => {
+    const context = loadScripts(['Leaflet.Antenna.Validation.js']);
+    assert.deepStrictEqual(plain(context.validateNetwork(null)), [{path: '$', message: 'Expected object but got null'}]);
+    assert.deepStrictEqual(plain(context.validateNetwork(5, {schema: schema})), [{path: '$', message: 'Expected object but got integer 5'}]);
+});
+
+test('validateNetwork reports missing lists of sites and profiles without schema as well', () => {
+    const context = loadScripts(['Leaflet.Antenna.Validation.js']);
+    const errors = [
+        {path: '$.antenna_sites', message: 'Expected array but got object {}'},
+        {path: '$.antenna_profiles', message: "Missing required property 'antenna_profiles'"}
+    ];
+    assert.deepStrictEqual(plain(context.validateNetwork({antenna_sites: {}})), errors);
+    assert.deepStrictEqual(plain(context.validateNetwork({antenna_sites: {}}, {schema: schema})), [errors[1], errors[0]]);
+});
+
+//network with a misspelled antenna profile at site1 and a valid link between site2 and site3
+const pattern = {horizontal: Array(360).fill(0), vertical: Array(360).fill(0)};
+const invalidNetwork = {
+    antenna_sites: [
+        {site_name: 'site1', installed_antennas: [{antenna_name: 'site1_antenna1', point_dir: 90, install_height: 15, antenna_profile: 'Brand-AP-Gen3'}]},
+        {site_name: 'site2', installed_antennas: [{antenna_name: 'site2_antenna1', point_dir: 90, install_height: 15, antenna_profile: 'Brand-AP-Gen2'}]},
+        {site_name: 'site3', installed_antennas: [{antenna_name: 'site3_antenna1', point_dir: 270, install_height: 15, antenna_profile: 'Brand-AP-Gen2'}]}
+    ],
+    antenna_profiles: [{profile_name: 'Brand-AP-Gen2', output_power: 27, gain: 19, sensitivity: 85, frequency: 2.4, pattern: pattern}],
+    antenna_links: [
+        {antenna_from: 'site1_antenna1', antenna_to: 'site2_antenna1'},
+        {antenna_from: 'site2_antenna1', antenna_to: 'site3_antenna1'}
+    ]
+};
+
+//page with the markers of the sites and stubs of the leaflet functions used by parseNetworkJSONFile, which fetches the given network file
+function loadParser(network = invalidNetwork) {
+    const marker = (name, lng) => ({feature: {geometry: {type: 'Point', coordinates: [lng, 51.3]}, properties: {name: name}}});
+    const map = {_layers: {1: marker('site1', 12.40), 2: marker('site2', 12.42), 3: marker('site3', 12.44)}, fire: () => undefined};
+    const polyline = () => ({
+        addTo: function () {
+            return this;
+        },
+        bindPopup: () => undefined,
+        bindTooltip: () => undefined,
+        on: () => undefined
+    });
+    const context = loadScripts(['Leaflet.Antenna.js', 'Leaflet.Antenna.Files.js', 'Leaflet.Antenna.Validation.js'], {
+        L: {extend: Object.assign, polyline: polyline},
+        fetch: async () => ({json: async () => JSON.parse(JSON.stringify(network))})
+    });
+    const elevationProvider = {getElevations: async locations => locations.map(() => 100)};
+    return {context: context, map: map, elevationProvider: elevationProvider};
+}
+
+test('parseNetworkJSONFile in strict mode rejects an invalid network with its errors', async () => {
+    const {context, map, elevationProvider} = loadParser();
+    await assert.rejects(context.parseNetworkJSONFile('network.json', map, {elevationProvider: elevationProvider, strict: true}), error => {
+        assert.deepStrictEqual(plain(error.errors), [{
+            path: '$.antenna_sites[0].installed_antennas[0].antenna_profile',
+            message: "Unknown antenna profile 'Brand-AP-Gen3', did you mean 'Brand-AP-Gen2'?"
+        }]);
+        return true;
+    });
+});
+
+test('parseNetworkJSONFile draws the valid part of an invalid network and passes the errors to onWarning', async () => {
+    const {context, map, elevationProvider} = loadParser();
+    let warnings;
+    const antennaData = await context.parseNetworkJSONFile('network.json', map, {elevationProvider: elevationProvider, onWarning: errors => warnings = plain(errors)});
+    assert.deepStrictEqual(warnings.map(warning => warning.path), ['$.antenna_sites[0].installed_antennas[0].antenna_profile']);
+    assert.deepStrictEqual(plain(antennaData.map(antenna => antenna.antenna_name)), ['site2_antenna1', 'site3_antenna1']);
+    assert.deepStrictEqual(plain(antennaData[0].links.map(link => link.antenna_to)), ['site3_antenna1']);
+    assert.ok(antennaData[0].links[0].budget.distance > 0);
+});
+
+test('parseNetworkJSONFile still takes an elevation provider as third argument and is lenient by default', async () => {
+    const {context, map, elevationProvider} = loadParser();
+    const antennaData = await context.parseNetworkJSONFile('network.json', map, elevationProvider);
+    assert.deepStrictEqual(plain(antennaData.map(antenna => antenna.antenna_name)), ['site2_antenna1', 'site3_antenna1']);
+    assert.deepStrictEqual(plain(antennaData.map(antenna => antenna.ground_elevation)), [100, 100]);
+});
+
+test('parseNetworkJSONFile reports a network without antenna profiles instead of failing', async () => {
+    const {context, map, elevationProvider} = loadParser({antenna_sites: invalidNetwork.antenna_sites});
+    let warnings;
+    const antennaData = await context.parseNetworkJSONFile('network.json', map, {elevationProvider: elevationProvider, onWarning: errors => warnings = plain(errors)});
+    assert.deepStrictEqual(warnings[0], {path: '$.antenna_profiles', message: "Missing required property 'antenna_profiles'"});
+    assert.strictEqual(antennaData.length, 0);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {loadScripts, plain} = require('./helpers');
+
+//records the posted messages instead of running a script
+class FakeWorker {
+    constructor() {
+        this.posted = [];
+        FakeWorker.workers.push(this);
+    }
+
+    postMessage(message) {
+        this.posted.push(message);
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+}
+
+function createPool() {
+    FakeWorker.workers = [];
+    const context = loadScripts(['Leaflet.Antenna.js'], {navigator: {}, Worker: FakeWorker});
+    return context.createCoverageWorkerPool('Leaflet.Antenna.Worker.js', 1);
+}
+
+test('evaluate resolves with the results of the worker', async () => {
+    const pool = createPool();
+    const evaluation = pool.evaluate([1], {});
+    FakeWorker.workers[0].onmessage({data: {results: ['result']}});
+    assert.deepStrictEqual(plain(await evaluation), ['result']);
+});
+
+test('an aborted evaluation rejects and drops its queued radials', async () => {
+    const pool = createPool();
+    const controller = new AbortController();
+    const first = pool.evaluate([1], {}, controller.signal),
+        second = pool.evaluate([2], {}, controller.signal),
+        other = pool.evaluate([3], {});
+    controller.abort();
+    await assert.rejects(first, {name: 'AbortError'});
+    await assert.rejects(second, {name: 'AbortError'});
+    //the first radial was already sent, the second one is never sent
+    FakeWorker.workers[0].onmessage({data: {results: ['ignored']}});
+    assert.deepStrictEqual(plain(FakeWorker.workers[0].posted.map(message => message.radials)), [[1], [3]]);
+    FakeWorker.workers[0].onmessage({data: {results: ['result']}});
+    assert.deepStrictEqual(plain(await other), ['result']);
+});
+
+test('terminate rejects running and queued evaluations', async () => {
+    const pool = createPool();
+    const running = pool.evaluate([1], {}),
+        queued = pool.evaluate([2], {});
+    pool.terminate();
+    assert.ok(FakeWorker.workers[0].terminated);
+    await assert.rejects(running, /Worker pool terminated/);
+    await assert.rejects(queued, /Worker pool terminated/);
+    await assert.rejects(pool.evaluate([3], {}), /Worker pool terminated/);
+});